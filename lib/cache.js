@@ -0,0 +1,100 @@
+/*
+ * Bounded TTL cache
+ *
+ * A small LRU cache with per-entry expiry used to avoid re-sending
+ * identical identification requests upstream. Entries live in memory; when
+ * a file path is given they are also persisted to a JSON file so the cache
+ * survives restarts.
+ */
+
+const path = require('path');
+const fs = require('fs/promises');
+
+// Debounce file writes so a burst of requests results in a single write.
+const PERSIST_DELAY_MS = 1000;
+
+/**
+ * Create a cache.
+ *
+ * @param {object} options
+ * @param {number} [options.maxEntries=200] Oldest entries are evicted beyond this
+ * @param {number} [options.ttlMs=21600000] Time to live of an entry (6 hours)
+ * @param {string} [options.file] Optional JSON file backing the cache
+ */
+function createCache({ maxEntries = 200, ttlMs = 6 * 60 * 60 * 1000, file = null } = {}) {
+  // Map keeps insertion order, which doubles as recency order for LRU.
+  const entries = new Map();
+  let loading = null;
+  let persistTimer = null;
+
+  function load() {
+    if (!file) return Promise.resolve();
+    if (!loading) {
+      loading = fs.readFile(file, 'utf8')
+        .then(text => {
+          const now = Date.now();
+          JSON.parse(text).forEach(([key, entry]) => {
+            if (entry.expires > now) entries.set(key, entry);
+          });
+          console.log(`[CACHE] Loaded ${entries.size} entries from ${file}`);
+        })
+        .catch(err => {
+          if (err.code !== 'ENOENT') console.warn('[CACHE] Could not load cache file:', err.message);
+        });
+    }
+    return loading;
+  }
+
+  function schedulePersist() {
+    if (!file || persistTimer) return;
+    persistTimer = setTimeout(async () => {
+      persistTimer = null;
+      // Write to a temporary file first so a crash never leaves a torn cache
+      const tmp = `${file}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify([...entries]));
+        await fs.rename(tmp, file);
+      } catch (err) {
+        console.warn('[CACHE] Could not persist cache file:', err.message);
+      }
+    }, PERSIST_DELAY_MS);
+    persistTimer.unref();
+  }
+
+  async function get(key) {
+    await load();
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      entries.delete(key);
+      schedulePersist();
+      return undefined;
+    }
+    // Refresh recency
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  async function set(key, value) {
+    if (maxEntries <= 0) return;
+    await load();
+    entries.delete(key);
+    entries.set(key, { value, expires: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    schedulePersist();
+  }
+
+  return {
+    get,
+    set,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createCache };
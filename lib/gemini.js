@@ -0,0 +1,230 @@
+/*
+ * Server-side Gemini proxy
+ *
+ * Opt-in mode for team deployments: when GEMINI_API_KEY is set the server
+ * runs the plant analysis itself and streams Gemini's output as it is
+ * generated, so clients need no key of their own. The client only sends
+ * the photos, their organs and its language: the prompt is built here from
+ * the app's message catalogs, so the key cannot be used for anything but a
+ * plant analysis.
+ *
+ * Mirrors the browser flow in script.js: structured JSON output validated
+ * against the shared schema, a bounded repair pass on invalid output and a
+ * fallback through the configured models.
+ */
+
+const path = require('path');
+const fs = require('fs/promises');
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com';
+const DEFAULT_MODELS = ['gemini-3-flash-preview', 'gemini-2.5-flash', 'gemini-2.5-flash-lite'];
+// Extra attempts after an answer that fails validation.
+const REPAIR_ATTEMPTS = 2;
+
+// The schema and prompt modules are shared with the browser, which loads
+// them as ESM.
+let schemaModule = null;
+function loadSchema() {
+  if (!schemaModule) schemaModule = import('../public/analysis-schema.mjs');
+  return schemaModule;
+}
+
+let promptModule = null;
+function loadPrompt() {
+  if (!promptModule) promptModule = import('../public/analysis-prompt.mjs');
+  return promptModule;
+}
+
+const LOCALES_DIR = path.join(__dirname, '..', 'public', 'locales');
+const DEFAULT_LOCALE = 'vi';
+const LOCALE_CODE = /^[a-z]{2}$/;
+const catalogs = new Map();
+
+// The catalogs are browser modules without imports; load them from their
+// source, as the package itself is CommonJS.
+function loadCatalog(lang) {
+  if (!catalogs.has(lang)) {
+    catalogs.set(lang, fs.readFile(path.join(LOCALES_DIR, `${lang}.js`), 'utf8')
+      .then(source => import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`))
+      .then(module => module.default));
+  }
+  return catalogs.get(lang);
+}
+
+/**
+ * Message lookup for `lang`, falling back to the default locale like t()
+ * in i18n.js.
+ */
+async function translator(lang) {
+  const fallback = await loadCatalog(DEFAULT_LOCALE);
+  const messages = LOCALE_CODE.test(lang) ? await loadCatalog(lang).catch(() => fallback) : fallback;
+  return (key, params = {}) => (messages[key] ?? fallback[key] ?? key)
+    .replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+const ERROR_CODES = ['invalid_output', 'blocked', 'quota', 'key', 'network', 'timeout'];
+
+/**
+ * Classify a Gemini failure like geminiErrorCode() in script.js, so the
+ * client can show the matching `ai.error.*` message.
+ */
+function geminiErrorCode(err) {
+  if (ERROR_CODES.includes(err.code)) return err.code;
+  const message = String(err.message || '');
+  if (err.name === 'TimeoutError') return 'timeout';
+  if (err instanceof TypeError && /fetch failed/.test(message)) return 'network';
+  if (err.status === 429 || /quota|RESOURCE_EXHAUSTED/i.test(message)) return 'quota';
+  if (err.status === 401 || err.status === 403 || /API key/i.test(message)) return 'key';
+  if (/blocked|SAFETY/i.test(message)) return 'blocked';
+  return 'unknown';
+}
+
+function geminiError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Create the proxy.
+ *
+ * @param {object} options
+ * @param {string} options.apiKey            Gemini API key
+ * @param {string[]} [options.models]        Fallback chain, tried in order
+ * @param {string} [options.baseUrl]         API root, defaults to Google's
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxOutputTokens]
+ */
+function createGeminiProxy({ apiKey, models, baseUrl, temperature, maxOutputTokens } = {}) {
+  const root = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const chain = models && models.length ? models : DEFAULT_MODELS;
+
+  // Stream one generateContent call, reporting text as it arrives.
+  // Resolves to the complete text.
+  async function streamOnce(model, body, onText, signal) {
+    const url = `${root}/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      const err = new Error(`Gemini ${model} responded ${response.status}: ${details.slice(0, 300)}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+      let idx;
+      while ((idx = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        const data = block.split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('');
+        if (!data) continue;
+        const event = JSON.parse(data);
+        if (event.promptFeedback?.blockReason) {
+          throw geminiError('blocked', `Prompt blocked: ${event.promptFeedback.blockReason}`);
+        }
+        const candidate = event.candidates?.[0];
+        if (candidate?.finishReason === 'SAFETY') {
+          throw geminiError('blocked', 'Response blocked: SAFETY');
+        }
+        const piece = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+        if (piece) {
+          text += piece;
+          onText(piece);
+        }
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Run the analysis of `images` ([{ buffer, mimeType }]) showing `organs`
+   * (one per image), answered in `lang`. Callbacks:
+   *   onModel(name)    a model starts; any text streamed so far is void
+   *   onText(piece)    next piece of the JSON answer
+   *   onRetry(errors)  the answer was invalid and is being repaired
+   * Resolves to `{ model, result }` with `result` valid against
+   * ANALYSIS_SCHEMA.
+   */
+  async function analyze({ lang, organs, images }, { onModel, onText, onRetry, signal }) {
+    const { ANALYSIS_SCHEMA, validate } = await loadSchema();
+    const { analysisPrompt } = await loadPrompt();
+    const t = await translator(lang);
+    const generationConfig = { responseMimeType: 'application/json', responseSchema: ANALYSIS_SCHEMA };
+    if (temperature != null) generationConfig.temperature = temperature;
+    if (maxOutputTokens) generationConfig.maxOutputTokens = maxOutputTokens;
+
+    const request = {
+      role: 'user',
+      parts: [
+        { text: analysisPrompt(t, organs) },
+        ...images.map(({ buffer, mimeType }) => ({ inline_data: { mime_type: mimeType, data: buffer.toString('base64') } }))
+      ]
+    };
+
+    let lastError = null;
+    for (const model of chain) {
+      const contents = [request];
+      try {
+        onModel(model);
+        let errors = [];
+        for (let attempt = 0; attempt <= REPAIR_ATTEMPTS; attempt++) {
+          const text = await streamOnce(model, { contents, generationConfig }, onText, signal);
+          let json = null;
+          try {
+            json = JSON.parse(text);
+            errors = validate(json, ANALYSIS_SCHEMA);
+          } catch (err) {
+            errors = [`invalid JSON: ${err.message}`];
+          }
+          if (errors.length === 0) return { model, result: json };
+
+          console.warn(`[GEMINI] ${model} gave an invalid answer (attempt ${attempt + 1}):`, errors);
+          onRetry(errors);
+          const repair = t('prompt.repair', { errors: errors.slice(0, 10).join('; ') });
+          contents.push({ role: 'model', parts: [{ text }] }, { role: 'user', parts: [{ text: repair }] });
+        }
+        throw geminiError('invalid_output', `Invalid Gemini output: ${errors.join('; ')}`);
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        lastError = err;
+        const code = geminiErrorCode(err);
+        // No other model would fare better with a rejected key or no network
+        if (code === 'key' || code === 'network') throw err;
+        console.warn(`[GEMINI] ${model} failed (${code}), trying the next model`);
+      }
+    }
+    throw lastError;
+  }
+
+  return { models: chain, analyze };
+}
+
+/**
+ * Create the proxy from the environment, or return null when the server
+ * mode is disabled (no GEMINI_API_KEY).
+ */
+function loadGeminiProxy(env = process.env) {
+  if (!env.GEMINI_API_KEY) return null;
+  const number = value => (value === undefined || value === '' ? null : Number(value));
+  return createGeminiProxy({
+    apiKey: env.GEMINI_API_KEY,
+    models: (env.GEMINI_MODELS || '').split(',').map(name => name.trim()).filter(Boolean),
+    baseUrl: env.GEMINI_BASE_URL,
+    temperature: number(env.GEMINI_TEMPERATURE),
+    maxOutputTokens: number(env.GEMINI_MAX_TOKENS)
+  });
+}
+
+module.exports = { createGeminiProxy, loadGeminiProxy, geminiErrorCode };
@@ -0,0 +1,203 @@
+/*
+ * Streaming multipart/form-data parser
+ *
+ * Parses a request body part by part as it arrives instead of buffering
+ * it first, so limits are enforced as soon as they are crossed: the
+ * request is abandoned the moment a file grows past `maxFileSize`, one
+ * file too many starts, or a file's leading bytes do not match an
+ * allowed type.
+ *
+ * Errors carry an HTTP `status` (400, 413, 415 or 431) for the caller to
+ * send back.
+ */
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+// Bytes of a file that are collected before its type is detected.
+const SNIFF_BYTES = 16;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Extract the boundary from a Content-Type header, or null when the
+ * header is not multipart/form-data.
+ */
+function getBoundary(contentType = '') {
+  if (!/^multipart\/form-data/i.test(contentType)) return null;
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  text.split('\r\n').forEach(line => {
+    const idx = line.indexOf(':');
+    if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  });
+  const disposition = headers['content-disposition'] || '';
+  const name = /\bname="([^"]*)"/i.exec(disposition);
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+  if (!name) throw httpError(400, 'Malformed multipart part: missing field name');
+  return {
+    name: name[1],
+    filename: filename ? filename[1] : null,
+    contentType: headers['content-type'] || null
+  };
+}
+
+/**
+ * Parse a multipart/form-data request.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {object} options
+ * @param {number} options.maxFiles     Maximum number of file parts
+ * @param {number} options.maxFileSize  Maximum size of one file in bytes
+ * @param {number} [options.maxFieldSize=65536] Maximum size of a text field
+ * @param {function(Buffer): ?string} [options.detectType] Returns the MIME
+ *        type of a file from its first bytes, or null to reject it
+ * @returns {Promise<{fields: Object<string, string[]>, files: Array<{name, filename, mimeType, buffer}>}>}
+ */
+function parseMultipart(req, { maxFiles, maxFileSize, maxFieldSize = 64 * 1024, detectType } = {}) {
+  return new Promise((resolve, reject) => {
+    const boundary = getBoundary(req.headers['content-type']);
+    if (!boundary) {
+      reject(httpError(400, 'Missing multipart boundary'));
+      return;
+    }
+    // Every delimiter, including the first one, is matched as CRLF--boundary
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const fields = {};
+    const files = [];
+    let buffer = CRLF;
+    let state = 'preamble';
+    let part = null;
+    let settled = false;
+
+    function fail(err) {
+      if (settled) return;
+      settled = true;
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      reject(err);
+    }
+
+    function startPart(headers) {
+      if (headers.filename !== null) {
+        if (files.length >= maxFiles) throw httpError(413, `At most ${maxFiles} files are allowed`);
+        part = { ...headers, file: true, chunks: [], size: 0, mimeType: null };
+      } else {
+        part = { ...headers, file: false, chunks: [], size: 0 };
+      }
+    }
+
+    function sniff(final) {
+      if (!part.file || part.mimeType || !detectType) return;
+      if (part.size < SNIFF_BYTES && !final) return;
+      part.mimeType = detectType(Buffer.concat(part.chunks));
+      if (!part.mimeType) throw httpError(415, `Unsupported file type for "${part.filename || part.name}"`);
+    }
+
+    function append(chunk) {
+      if (chunk.length === 0) return;
+      part.size += chunk.length;
+      const limit = part.file ? maxFileSize : maxFieldSize;
+      if (part.size > limit) {
+        throw httpError(413, `"${part.filename || part.name}" exceeds ${limit} bytes`);
+      }
+      part.chunks.push(chunk);
+      sniff(false);
+    }
+
+    function finishPart() {
+      if (part.file) {
+        if (part.size === 0) throw httpError(400, `"${part.filename || part.name}" is empty`);
+        sniff(true);
+        files.push({
+          name: part.name,
+          filename: part.filename,
+          mimeType: part.mimeType || part.contentType,
+          buffer: Buffer.concat(part.chunks)
+        });
+      } else {
+        (fields[part.name] = fields[part.name] || []).push(Buffer.concat(part.chunks).toString('utf8'));
+      }
+      part = null;
+    }
+
+    // Consume as much of `buffer` as possible; returns when more data is needed.
+    function advance() {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const idx = buffer.indexOf(delimiter);
+          if (idx === -1) {
+            // Keep enough of the tail to match a delimiter split across chunks
+            const keep = Math.min(buffer.length, delimiter.length - 1);
+            if (state === 'body') append(buffer.subarray(0, buffer.length - keep));
+            buffer = buffer.subarray(buffer.length - keep);
+            return;
+          }
+          if (state === 'body') {
+            append(buffer.subarray(0, idx));
+            finishPart();
+          }
+          buffer = buffer.subarray(idx + delimiter.length);
+          state = 'boundary';
+        } else if (state === 'boundary') {
+          if (buffer.length < 2) return;
+          const marker = buffer.subarray(0, 2).toString('latin1');
+          if (marker === '--') {
+            state = 'done';
+            return;
+          }
+          if (marker !== '\r\n') throw httpError(400, 'Malformed multipart boundary');
+          buffer = buffer.subarray(2);
+          state = 'headers';
+        } else if (state === 'headers') {
+          const idx = buffer.indexOf(HEADER_END);
+          if (idx === -1) {
+            if (buffer.length > MAX_HEADER_SIZE) throw httpError(431, 'Multipart headers too large');
+            return;
+          }
+          startPart(parsePartHeaders(buffer.subarray(0, idx).toString('utf8')));
+          buffer = buffer.subarray(idx + HEADER_END.length);
+          state = 'body';
+        } else {
+          // 'done': ignore the epilogue
+          buffer = Buffer.alloc(0);
+          return;
+        }
+      }
+    }
+
+    function onData(chunk) {
+      if (settled) return;
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      try {
+        advance();
+      } catch (err) {
+        fail(err);
+      }
+    }
+
+    function onEnd() {
+      if (settled) return;
+      if (state !== 'done') {
+        fail(httpError(400, 'Unexpected end of multipart body'));
+        return;
+      }
+      settled = true;
+      resolve({ fields, files });
+    }
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', fail);
+  });
+}
+
+module.exports = { parseMultipart, getBoundary, httpError };
@@ -0,0 +1,71 @@
+/*
+ * Fixture replay provider
+ *
+ * Serves recorded Pl@ntNet-shaped responses from JSON files on disk so the
+ * whole scan flow can be exercised without network access or an API key.
+ *
+ * For each call the provider first looks for a fixture recorded for the
+ * exact images (`<method>-<hash>.json`, where <hash> is the first 12 hex
+ * characters of the SHA-256 of all image bytes) and otherwise falls back to
+ * the generic `<method>.json`. Calls without images (`projects`) always use
+ * the generic file.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs/promises');
+
+const DEFAULT_BASE_URL = path.join(__dirname, '..', '..', 'fixtures');
+
+/**
+ * Hash the raw bytes of all images in order.
+ */
+function hashImages(images) {
+  const hash = crypto.createHash('sha256');
+  images.forEach(({ buffer }) => hash.update(buffer));
+  return hash.digest('hex').slice(0, 12);
+}
+
+async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Create a fixture provider.
+ *
+ * @param {object} options
+ * @param {string} [options.baseUrl] Directory holding the fixture files
+ */
+function createFixtureProvider({ baseUrl } = {}) {
+  const dir = path.resolve(baseUrl || DEFAULT_BASE_URL);
+
+  async function replay(method, request) {
+    if (request.images) {
+      const specific = path.join(dir, `${method}-${hashImages(request.images)}.json`);
+      try {
+        return await readJson(specific);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    try {
+      return await readJson(path.join(dir, `${method}.json`));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error(`No ${method} fixture in ${dir}`);
+      }
+      throw err;
+    }
+  }
+
+  return {
+    name: 'fixture',
+    baseUrl: dir,
+    isConfigured: () => true,
+    identify: request => replay('identify', request),
+    diseases: request => replay('diseases', request),
+    projects: request => replay('projects', request)
+  };
+}
+
+module.exports = { createFixtureProvider, hashImages, DEFAULT_BASE_URL };
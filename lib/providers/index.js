@@ -0,0 +1,95 @@
+/*
+ * Identification provider registry
+ *
+ * Every backend implements the same contract:
+ *
+ *   {
+ *     name: string,
+ *     baseUrl: string,
+ *     isConfigured(): boolean,
+ *     identify(request): Promise<object>,   // Pl@ntNet-shaped species result
+ *     diseases(request): Promise<object>,   // Pl@ntNet-shaped diseases result
+ *     projects(request): Promise<object[]>  // Pl@ntNet-shaped project list
+ *   }
+ *
+ * where `request` is `{ images: [{ buffer, mimeType }], organs, lang,
+ * project, options: { includeRelatedImages, nbResults, noReject } }` for
+ * identify/diseases and `{ lang }` for projects. `project` selects the
+ * flora to identify against (default "all"). Requests may also carry a
+ * `signal` (AbortSignal) that fires when the client went away, in which
+ * case providers should stop working on them.
+ * A provider throws when it cannot answer so the next one in the chain is
+ * tried.
+ *
+ * Configuration comes from the environment:
+ *   IDENTIFY_PROVIDERS   Comma separated, ordered list of providers to try
+ *                        (default: "plantnet").
+ *   <NAME>_BASE_URL      Overrides the base URL of a provider, e.g.
+ *                        PLANTNET_BASE_URL=http://localhost:4000 or
+ *                        FIXTURE_BASE_URL=./fixtures/monstera.
+ *   PLANTNET_TIMEOUT     Seconds one Pl@ntNet attempt may take (default: 20).
+ *   PLANTNET_RETRIES     Retries after a timeout, network error, 429 or 5xx
+ *                        (default: 2).
+ */
+
+const { createPlantnetProvider } = require('./plantnet');
+const { createFixtureProvider } = require('./fixture');
+
+// Factories keyed by the name used in IDENTIFY_PROVIDERS.
+const FACTORIES = {
+  plantnet: env => createPlantnetProvider({
+    baseUrl: env.PLANTNET_BASE_URL,
+    apiKey: env.PLANTNET_API_KEY,
+    timeoutMs: Number(env.PLANTNET_TIMEOUT || 20) * 1000,
+    retries: Number(env.PLANTNET_RETRIES ?? 2)
+  }),
+  fixture: env => createFixtureProvider({
+    baseUrl: env.FIXTURE_BASE_URL
+  })
+};
+
+/**
+ * Instantiate the configured providers in order. Unknown names are
+ * reported and ignored rather than preventing the server from starting.
+ */
+function loadProviders(env = process.env) {
+  const names = (env.IDENTIFY_PROVIDERS || 'plantnet')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return names.reduce((list, name) => {
+    const factory = FACTORIES[name];
+    if (!factory) {
+      console.warn(`[PROVIDERS] Unknown provider "${name}" ignored`);
+      return list;
+    }
+    list.push(factory(env));
+    return list;
+  }, []);
+}
+
+/**
+ * Call `method` on each configured provider in turn and return the first
+ * answer as `{ provider, result }`. Throws the last error if every
+ * provider failed or none is configured.
+ */
+async function runChain(providers, method, request) {
+  let lastError = new Error('No identification provider configured');
+  for (const provider of providers) {
+    if (typeof provider[method] !== 'function' || !provider.isConfigured()) {
+      continue;
+    }
+    try {
+      const result = await provider[method](request);
+      return { provider: provider.name, result };
+    } catch (err) {
+      // Nobody is waiting for an answer any more
+      if (request.signal?.aborted) throw err;
+      console.log(`[PROVIDERS] ${provider.name}.${method} failed:`, err.message);
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+module.exports = { loadProviders, runChain, FACTORIES };
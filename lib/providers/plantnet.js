@@ -0,0 +1,96 @@
+/*
+ * Pl@ntNet identification provider
+ *
+ * Talks to the Pl@ntNet v2 API (`/v2/identify/<project>`,
+ * `/v2/diseases/identify` and `/v2/projects`). The base URL can be
+ * overridden so the same code can be pointed at a local stand-in during
+ * development. Calls time out and transient failures are retried (see
+ * lib/retry.js).
+ */
+
+const { fetchJson } = require('../retry');
+
+const DEFAULT_BASE_URL = 'https://my-api.plantnet.org';
+const DEFAULT_PROJECT = 'all';
+
+/**
+ * Build a FormData object from decoded images and associated organs. Uses
+ * the global FormData and Blob classes provided by node 18+.
+ */
+function buildFormData(images, organs) {
+  const form = new FormData();
+  images.forEach(({ buffer, mimeType }, idx) => {
+    const fileExt = mimeType.split('/')[1] || 'jpg';
+    const blob = new Blob([buffer], { type: mimeType });
+    // Provide a filename so that downstream services can infer type
+    form.append('images', blob, `image${idx}.${fileExt}`);
+    const organValue = Array.isArray(organs) && organs[idx] ? organs[idx] : 'auto';
+    form.append('organs', organValue);
+  });
+  return form;
+}
+
+/**
+ * Create a Pl@ntNet provider.
+ *
+ * @param {object} options
+ * @param {string} [options.baseUrl] API root, defaults to my-api.plantnet.org
+ * @param {string} [options.apiKey]  Pl@ntNet API key
+ * @param {number} [options.timeoutMs=20000] Limit for one upstream attempt
+ * @param {number} [options.retries=2]       Retries after a transient failure
+ */
+function createPlantnetProvider({ baseUrl, apiKey, timeoutMs = 20000, retries = 2 } = {}) {
+  const root = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  async function post(pathname, request, params = new URLSearchParams()) {
+    params.set('api-key', apiKey || '');
+    const url = `${root}${pathname}?${params}`;
+    // A fresh form per attempt: a retried request must send the whole body again
+    const init = () => {
+      const form = buildFormData(request.images, request.organs);
+      if (request.lang) {
+        form.append('lang', request.lang);
+      }
+      return { method: 'POST', body: form };
+    };
+    return parse(await fetchJson(url, init, { timeoutMs, retries, signal: request.signal }));
+  }
+
+  function parse({ status, ok, statusText, data }) {
+    // A 404 is how Pl@ntNet reports "species not found"; that is a valid
+    // answer and must not make the chain fall through to another provider.
+    if (!ok && status !== 404) {
+      const reason = (data && (data.message || data.error)) || statusText;
+      const err = new Error(`Pl@ntNet responded ${status}: ${reason}`);
+      err.status = status;
+      throw err;
+    }
+    return data;
+  }
+
+  return {
+    name: 'plantnet',
+    baseUrl: root,
+    // Without a key the public API only returns 401s, but a local
+    // stand-in at a custom base URL usually does not need one.
+    isConfigured: () => Boolean(apiKey) || root !== DEFAULT_BASE_URL,
+    identify: request => {
+      const options = request.options || {};
+      const params = new URLSearchParams();
+      // Reference images let the client show look-alike candidates visually
+      params.set('include-related-images', String(options.includeRelatedImages !== false));
+      if (options.nbResults) params.set('nb-results', String(options.nbResults));
+      if (options.noReject) params.set('no-reject', 'true');
+      const project = encodeURIComponent(request.project || DEFAULT_PROJECT);
+      return post(`/v2/identify/${project}`, request, params);
+    },
+    diseases: request => post('/v2/diseases/identify', request),
+    projects: async request => {
+      const params = new URLSearchParams({ 'api-key': apiKey || '' });
+      if (request.lang) params.set('lang', request.lang);
+      return parse(await fetchJson(`${root}/v2/projects?${params}`, {}, { timeoutMs, retries, signal: request.signal }));
+    }
+  };
+}
+
+module.exports = { createPlantnetProvider, buildFormData, DEFAULT_BASE_URL };
@@ -0,0 +1,100 @@
+/*
+ * Upstream requests with timeouts and retries
+ *
+ * A hung upstream must not hold a request open forever, and the occasional
+ * 429 or 5xx from a busy API should not fail a scan. Every attempt gets its
+ * own timeout covering the whole exchange (headers and body); network
+ * errors, timeouts and transient statuses are retried with exponential
+ * backoff. Other answers, including 4xx errors, are returned as they are.
+ */
+
+// Statuses worth another try: the same request may well succeed later.
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+// Longest wait between two attempts, whatever Retry-After asks for.
+const MAX_DELAY_MS = 10 * 1000;
+
+function timeoutError(ms) {
+  const err = new Error(`Upstream did not answer within ${ms} ms`);
+  err.name = 'TimeoutError';
+  err.status = 504;
+  return err;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Exponential backoff with jitter, or the server's Retry-After (in seconds).
+function retryDelay(attempt, baseDelayMs, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds)) return Math.min(seconds * 1000, MAX_DELAY_MS);
+  return Math.min(baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2), MAX_DELAY_MS);
+}
+
+/**
+ * fetch() `url` and decode the JSON answer.
+ *
+ * @param {string} url
+ * @param {object|function(): object} init  fetch() options, or a function
+ *        building them for each attempt (e.g. a fresh FormData body)
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=20000] Limit for one attempt
+ * @param {number} [options.retries=2]       Extra attempts after a transient failure
+ * @param {number} [options.baseDelayMs=500] First backoff delay, doubled each retry
+ * @param {AbortSignal} [options.signal]     Aborts the request and any pending retry
+ * @returns {Promise<{status: number, ok: boolean, statusText: string, data: *}>}
+ *          `data` is null when the body is not JSON
+ */
+async function fetchJson(url, init = {}, { timeoutMs = 20000, retries = 2, baseDelayMs = 500, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(timeoutError(timeoutMs)), timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let reason;
+    let retryAfter = null;
+    try {
+      if (signal?.aborted) throw signal.reason;
+      const options = typeof init === 'function' ? init() : init;
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      const text = await response.text();
+      let data = null;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        // Not JSON (e.g. a proxy's HTML error page); the status tells the story
+      }
+      const answer = { status: response.status, ok: response.ok, statusText: response.statusText, data };
+      if (!RETRY_STATUSES.includes(response.status) || attempt >= retries) return answer;
+      reason = `status ${response.status}`;
+      retryAfter = response.headers.get('retry-after');
+    } catch (err) {
+      if (signal?.aborted || attempt >= retries) throw err;
+      reason = err.message;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    const delay = retryDelay(attempt, baseDelayMs, retryAfter);
+    console.warn(`[RETRY] ${new URL(url).pathname} failed (${reason}), retrying in ${Math.round(delay)} ms`);
+    await sleep(delay, signal);
+  }
+}
+
+module.exports = { fetchJson, RETRY_STATUSES };
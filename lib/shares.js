@@ -0,0 +1,124 @@
+/*
+ * Shared report store
+ *
+ * Reports shared as links (`/s/<id>`) are kept one JSON file per report in
+ * a data directory. The id is random and long enough not to be guessed, so
+ * the link itself is the permission to read. Whoever shared a report also
+ * gets a delete token; only its hash is stored. Expired reports are
+ * treated as gone and removed by sweep().
+ */
+
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+// 12 random bytes: 16 URL-safe characters.
+const ID_BYTES = 12;
+const TOKEN_BYTES = 24;
+const SHARE_ID = /^[A-Za-z0-9_-]{16}$/;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest();
+
+function isShareId(id) {
+  return SHARE_ID.test(id);
+}
+
+/**
+ * Create a share store.
+ *
+ * @param {object} options
+ * @param {string} options.dir Directory holding the shared reports
+ * @param {number} [options.ttlMs=2592000000] Longest time a report is kept (30 days)
+ */
+function createShareStore({ dir, ttlMs = 30 * 24 * 60 * 60 * 1000 }) {
+  // Ids are checked before they reach the file system
+  const fileOf = id => path.join(dir, `${id}.json`);
+
+  async function read(id) {
+    if (!isShareId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(fileOf(id), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('[SHARE] Could not read', id, err.message);
+      return null;
+    }
+  }
+
+  async function unlink(id) {
+    await fs.rm(fileOf(id), { force: true });
+  }
+
+  /**
+   * Store `report` for `lifetimeMs` (capped at the store's ttlMs). Resolves
+   * to `{ id, deleteToken, expiresAt }`; the token is not kept in clear.
+   */
+  async function create(report, lifetimeMs = ttlMs) {
+    const id = crypto.randomBytes(ID_BYTES).toString('base64url');
+    const deleteToken = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const createdAt = Date.now();
+    const expiresAt = createdAt + Math.min(lifetimeMs, ttlMs);
+    const record = { id, createdAt, expiresAt, tokenHash: hashToken(deleteToken).toString('hex'), report };
+
+    // Write to a temporary file first so a crash never leaves a torn report
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${fileOf(id)}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(record));
+    await fs.rename(tmp, fileOf(id));
+    return { id, deleteToken, expiresAt };
+  }
+
+  /**
+   * The shared report `{ report, createdAt, expiresAt }`, or null when the
+   * id is unknown, deleted or expired.
+   */
+  async function get(id) {
+    const record = await read(id);
+    if (!record) return null;
+    if (record.expiresAt <= Date.now()) {
+      await unlink(id);
+      return null;
+    }
+    return { report: record.report, createdAt: record.createdAt, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Delete a report with its delete token. Resolves to 'deleted',
+   * 'forbidden' (wrong token) or 'missing'.
+   */
+  async function remove(id, token) {
+    const record = await read(id);
+    if (!record) return 'missing';
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const given = hashToken(token || '');
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'forbidden';
+    await unlink(id);
+    return 'deleted';
+  }
+
+  // Remove expired reports. Resolves to the number removed.
+  async function sweep() {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+    const now = Date.now();
+    let removed = 0;
+    for (const name of names) {
+      const id = path.basename(name, '.json');
+      if (!name.endsWith('.json') || !isShareId(id)) continue;
+      const record = await read(id);
+      if (record && record.expiresAt <= now) {
+        await unlink(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return { create, get, remove, sweep };
+}
+
+module.exports = { createShareStore, isShareId };
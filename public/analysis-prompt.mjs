@@ -0,0 +1,26 @@
+/*
+ * Plant Scanner PWA - Analysis prompt
+ *
+ * Builds the Gemini prompt of a plant analysis from the message catalog
+ * (`prompt.*` keys) and the organ tagged on each photo. `t` looks a key up
+ * in the wanted language, like t() in i18n.js.
+ *
+ * The .mjs extension lets the server import this module too (see
+ * lib/gemini.js): /analyze builds its prompt itself instead of accepting
+ * one from the client.
+ */
+
+// Tell Gemini which organ each photo shows, when the user tagged it.
+function organHints(t, organs) {
+  const tagged = organs
+    .map((organ, i) => organ && organ !== 'auto' ? t('prompt.organ', { n: i + 1, organ: t(`organ.${organ}`) }) : null)
+    .filter(Boolean);
+  return tagged.length ? `${t('prompt.organs', { list: tagged.join('; ') })}\n` : '';
+}
+
+// `organs` holds the organ of each photo, in order.
+export function analysisPrompt(t, organs) {
+  return `${t('prompt.role')} ${t('prompt.analyze')}
+${organHints(t, organs)}${t('prompt.candidates')} ${t('prompt.schedule')}
+${t('prompt.language')}`;
+}
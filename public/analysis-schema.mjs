@@ -0,0 +1,152 @@
+/*
+ * Plant Scanner PWA - Gemini response schemas & validation
+ *
+ * The schemas are sent to Gemini as `responseSchema` so it answers with
+ * structured JSON, and the same schemas validate what comes back: the model
+ * can still omit fields or return out-of-range scores, and the results card
+ * must never render an unchecked answer.
+ *
+ * Schemas use the OpenAPI subset Gemini understands (type, properties,
+ * required, items, enum, minimum/maximum, minItems/maxItems). Type names
+ * match the SDK's SchemaType values.
+ *
+ * The .mjs extension lets server.js import this module too (see
+ * lib/gemini.js), so the server-side proxy validates against the same
+ * schema as the browser.
+ */
+
+const CONFIDENCE = { type: 'number', minimum: 0, maximum: 1 };
+
+// Typical intervals, used to suggest a care schedule (see care.js)
+const CARE_SCHEDULE = {
+  type: 'object',
+  properties: {
+    watering_days: { type: 'integer', minimum: 1, maximum: 60 },
+    fertilizing_days: { type: 'integer', minimum: 7, maximum: 365 },
+    repotting_months: { type: 'integer', minimum: 6, maximum: 60 }
+  },
+  required: ['watering_days', 'fertilizing_days', 'repotting_months']
+};
+
+const CARE_GUIDE = {
+  type: 'object',
+  properties: {
+    watering: { type: 'string' },
+    light: { type: 'string' },
+    soil: { type: 'string' },
+    fertilizing: { type: 'string' },
+    schedule: CARE_SCHEDULE
+  },
+  required: ['watering', 'light', 'soil', 'fertilizing', 'schedule']
+};
+
+const FUN_FACTS = { type: 'array', items: { type: 'string' } };
+
+// Full analysis of the captured photos (callGemini)
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    best_match: {
+      type: 'object',
+      properties: {
+        scientific_name: { type: 'string' },
+        common_name: { type: 'string' },
+        family: { type: 'string' },
+        confidence: CONFIDENCE
+      },
+      required: ['scientific_name', 'common_name', 'family', 'confidence']
+    },
+    candidates: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          scientific_name: { type: 'string' },
+          common_name: { type: 'string' },
+          genus: { type: 'string' },
+          family: { type: 'string' },
+          confidence: CONFIDENCE
+        },
+        required: ['scientific_name', 'confidence']
+      }
+    },
+    health_assessment: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        possible_issues: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              likelihood: CONFIDENCE,
+              safe_actions: { type: 'string' }
+            },
+            required: ['name', 'likelihood', 'safe_actions']
+          }
+        }
+      },
+      required: ['status', 'possible_issues']
+    },
+    care_guide: CARE_GUIDE,
+    fun_facts: FUN_FACTS
+  },
+  required: ['best_match', 'candidates', 'health_assessment', 'care_guide', 'fun_facts']
+};
+
+// Care guide for a species picked from the candidates (callGeminiCareGuide)
+export const CARE_GUIDE_SCHEMA = {
+  type: 'object',
+  properties: {
+    care_guide: CARE_GUIDE,
+    fun_facts: FUN_FACTS
+  },
+  required: ['care_guide', 'fun_facts']
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate `value` against `schema`. Returns a list of problems such as
+ * "best_match.confidence: must be <= 1"; an empty list means valid.
+ */
+export function validate(value, schema, path = '') {
+  const at = path || '(root)';
+  const actual = typeOf(value);
+  const expected = schema.type;
+  const typeOk = actual === expected || (expected === 'number' && actual === 'integer');
+  if (!typeOk) {
+    if (value == null && schema.nullable) return [];
+    return [`${at}: expected ${expected}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (expected === 'number' || expected === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (expected === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    value.forEach((item, idx) => errors.push(...validate(item, schema.items, `${path}[${idx}]`)));
+  }
+  if (expected === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) errors.push(...validate(value[key], propSchema, path ? `${path}.${key}` : key));
+    });
+  }
+  return errors;
+}
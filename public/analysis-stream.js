@@ -0,0 +1,76 @@
+/*
+ * Plant Scanner PWA - Streamed analysis helpers
+ *
+ * Used in server mode, where /analyze streams Gemini's JSON answer as
+ * Server-Sent Events. EventSource only supports GET, so the events are
+ * read from a fetch() body instead, and the incomplete JSON received so
+ * far is parsed leniently to fill the results card progressively.
+ */
+
+/**
+ * Read a text/event-stream response, calling `onEvent(event, data)` for
+ * every event with its JSON-decoded data. Resolves when the stream ends.
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value.replace(/\r\n/g, '\n');
+    let idx;
+    while ((idx = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      onEvent(event, data ? JSON.parse(data) : null);
+    }
+  }
+}
+
+// Append whatever closing quotes and brackets `text` still needs.
+function closeJson(text) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      closers.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      closers.pop();
+    }
+  }
+  return text + (inString ? '"' : '') + closers.reverse().join('');
+}
+
+/**
+ * Best-effort parse of a JSON document that is still being streamed.
+ * Open strings, arrays and objects are closed; a trailing member that is
+ * too incomplete to parse (e.g. a key without its value) is dropped.
+ * Returns null when nothing usable has arrived yet.
+ */
+export function parsePartialJson(text) {
+  let candidate = text.trim();
+  for (let attempt = 0; attempt < 8 && candidate; attempt++) {
+    try {
+      return JSON.parse(closeJson(candidate));
+    } catch (e) {
+      // Cut back to the previous member boundary and try again
+      const cut = Math.max(candidate.lastIndexOf(','), candidate.lastIndexOf('{'), candidate.lastIndexOf('['));
+      if (cut < 0) break;
+      candidate = candidate[cut] === ',' ? candidate.slice(0, cut) : candidate.slice(0, cut + 1);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,224 @@
+/*
+ * Plant Scanner PWA - Backup and restore
+ *
+ * A backup is a single JSON file holding every store of plantScannerDB:
+ * the settings, the capture in progress, the history, the offline queue
+ * and the plants with their care schedules. Photos are data URIs inside
+ * those records, so the file is self-contained.
+ *
+ * A backup taken by an older version of the app is first written into a
+ * scratch database at its own schema version and upgraded there by
+ * openDB()'s upgrade steps, exactly like the live database was.
+ */
+
+import { DB_NAME, DB_VERSION, openDB, requestToPromise } from './db.js';
+
+// Bumped when the file layout changes incompatibly.
+const BACKUP_FORMAT = 1;
+const STORES = ['settings', 'session', 'history', 'pending', 'plants'];
+// Stores whose records carry their own key (keyPath `id`). The others are
+// written to the file as [key, value] pairs.
+const KEYED_STORES = ['history', 'pending', 'plants'];
+// Stores with auto-incremented ids, which are reassigned when merging into
+// another device's data.
+const AUTO_ID_STORES = ['history', 'pending'];
+// What makes two keyed records the same one when merging.
+const IDENTITY = { history: 'timestamp', pending: 'createdAt', plants: 'id' };
+const KEY_SETTING = 'geminiKey';
+const SCRATCH_DB_NAME = `${DB_NAME}-restore`;
+
+/**
+ * Error with a `code` the page translates as backup.error.<code>:
+ * 'invalid' (not a backup, or damaged) or 'newer' (made by a newer app).
+ */
+export function backupError(code, message) {
+  const err = new Error(message);
+  err.name = 'BackupError';
+  err.code = code;
+  return err;
+}
+
+function deleteDatabase(name) {
+  return requestToPromise(indexedDB.deleteDatabase(name));
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+async function readStores(db, names) {
+  const tx = db.transaction(names, 'readonly');
+  const stores = {};
+  await Promise.all(names.map(async name => {
+    const store = tx.objectStore(name);
+    if (KEYED_STORES.includes(name)) {
+      stores[name] = await requestToPromise(store.getAll());
+      return;
+    }
+    const [keys, values] = await Promise.all([
+      requestToPromise(store.getAllKeys()),
+      requestToPromise(store.getAll())
+    ]);
+    stores[name] = keys.map((key, i) => [key, values[i]]);
+  }));
+  return stores;
+}
+
+function writeRecord(store, name, record) {
+  if (KEYED_STORES.includes(name)) store.put(record);
+  else store.put(record[1], record[0]);
+}
+
+/**
+ * Snapshot the database. The Gemini key is left out unless `includeKey`.
+ */
+export async function createBackup({ includeKey = false } = {}) {
+  const db = await openDB();
+  const stores = await readStores(db, STORES);
+  if (!includeKey) {
+    stores.settings = stores.settings.filter(([key]) => key !== KEY_SETTING);
+  }
+  return {
+    app: 'plant-scanner',
+    kind: 'backup',
+    format: BACKUP_FORMAT,
+    dbVersion: DB_VERSION,
+    createdAt: new Date().toISOString(),
+    stores
+  };
+}
+
+export async function downloadBackup(options) {
+  const backup = await createBackup(options);
+  const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.download = `plant-scanner-backup-${backup.createdAt.slice(0, 10)}.json`;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  return backup;
+}
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+// Photos are shown as they are, so only image data URIs may come back.
+const isImage = value => typeof value === 'string' && value.startsWith('data:image/');
+const hasImages = images => images === undefined || (Array.isArray(images) && images.every(image => isImage(image?.dataUri)));
+// Auto-incremented ids; a restore in 'replace' mode keeps them.
+const isAutoId = id => id === undefined || (Number.isInteger(id) && id > 0);
+
+// Shape every record of `name` must have to be restored.
+const RECORD_CHECKS = {
+  settings: record => Array.isArray(record) && record.length === 2 && typeof record[0] === 'string',
+  session: record => Array.isArray(record) && record.length === 2 && typeof record[0] === 'string' &&
+    hasImages(record[1]?.capturedImages),
+  history: record => isObject(record) && isAutoId(record.id) && typeof record.timestamp === 'number' && isObject(record.result) &&
+    (record.thumbnails === undefined || (Array.isArray(record.thumbnails) && record.thumbnails.every(isImage))),
+  pending: record => isObject(record) && isAutoId(record.id) && typeof record.createdAt === 'number' &&
+    Array.isArray(record.images) && hasImages(record.images),
+  plants: record => isObject(record) && typeof record.id === 'string' && isObject(record.tasks) &&
+    (!record.thumbnail || isImage(record.thumbnail))
+};
+
+/**
+ * Parse and check a backup file's text. Throws a backupError when it is
+ * not a backup this version of the app can restore.
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw backupError('invalid', 'Not a JSON file');
+  }
+  if (!isObject(backup) || backup.app !== 'plant-scanner' || backup.kind !== 'backup') {
+    throw backupError('invalid', 'Not a Plant Scanner backup');
+  }
+  if (!Number.isInteger(backup.format) || !Number.isInteger(backup.dbVersion) || backup.dbVersion < 1) {
+    throw backupError('invalid', 'Missing format or schema version');
+  }
+  if (backup.format > BACKUP_FORMAT || backup.dbVersion > DB_VERSION) {
+    throw backupError('newer', `Backup format ${backup.format}, schema ${backup.dbVersion}`);
+  }
+  if (!isObject(backup.stores)) throw backupError('invalid', 'Missing stores');
+  Object.entries(backup.stores).forEach(([name, records]) => {
+    if (!STORES.includes(name)) throw backupError('invalid', `Unknown store "${name}"`);
+    if (!Array.isArray(records) || !records.every(RECORD_CHECKS[name])) {
+      throw backupError('invalid', `Malformed records in "${name}"`);
+    }
+  });
+  return backup;
+}
+
+// Bring the stores of an older backup up to DB_VERSION through a scratch
+// database. Stores the backup's schema did not have yet come back empty.
+async function upgradeStores(backup) {
+  if (backup.dbVersion === DB_VERSION) return backup.stores;
+  await deleteDatabase(SCRATCH_DB_NAME);
+  try {
+    const old = await openDB(SCRATCH_DB_NAME, backup.dbVersion);
+    const names = Object.keys(backup.stores);
+    const missing = names.find(name => !old.objectStoreNames.contains(name));
+    if (missing) {
+      old.close();
+      throw backupError('invalid', `Store "${missing}" did not exist in schema ${backup.dbVersion}`);
+    }
+    if (names.length) {
+      const tx = old.transaction(names, 'readwrite');
+      names.forEach(name => backup.stores[name].forEach(record => writeRecord(tx.objectStore(name), name, record)));
+      await transactionDone(tx);
+    }
+    old.close();
+
+    const upgraded = await openDB(SCRATCH_DB_NAME);
+    const stores = await readStores(upgraded, STORES);
+    upgraded.close();
+    console.log(`[BACKUP] Upgraded backup from schema ${backup.dbVersion} to ${DB_VERSION}`);
+    return stores;
+  } finally {
+    await deleteDatabase(SCRATCH_DB_NAME).catch(() => {});
+  }
+}
+
+/**
+ * Write a parsed backup into the database.
+ * `mode` 'replace' swaps the current data for the backup's (keeping the
+ * Gemini key when the backup has none); 'merge' adds the scans and plants
+ * that are not on this device yet and the settings it does not have.
+ * Resolves to the number of records written per store.
+ */
+export async function restoreBackup(backup, { mode = 'merge' } = {}) {
+  const incoming = await upgradeStores(backup);
+  const db = await openDB();
+  const current = await readStores(db, STORES);
+  const written = {};
+
+  const tx = db.transaction(STORES, 'readwrite');
+  STORES.forEach(name => {
+    const store = tx.objectStore(name);
+    let records = incoming[name] || [];
+    if (mode === 'replace') {
+      const keptKey = name === 'settings' && !records.some(([key]) => key === KEY_SETTING)
+        ? current.settings.find(([key]) => key === KEY_SETTING)
+        : null;
+      store.clear();
+      if (keptKey) store.put(keptKey[1], keptKey[0]);
+    } else if (KEYED_STORES.includes(name)) {
+      const field = IDENTITY[name];
+      const known = new Set(current[name].map(record => record[field]));
+      records = records.filter(record => !known.has(record[field]));
+      if (AUTO_ID_STORES.includes(name)) records = records.map(({ id, ...record }) => record);
+    } else {
+      const known = new Set(current[name].map(([key]) => key));
+      records = records.filter(([key]) => !known.has(key));
+    }
+    records.forEach(record => writeRecord(store, name, record));
+    written[name] = records.length;
+  });
+  await transactionDone(tx);
+  console.log(`[BACKUP] Restored (${mode}):`, written);
+  return written;
+}
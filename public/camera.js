@@ -0,0 +1,128 @@
+/*
+ * Plant Scanner PWA - Live camera
+ *
+ * In-app viewfinder on getUserMedia, so each guided step can be shot
+ * without switching to the system camera app. Torch and tap-to-focus are
+ * offered only where the camera track reports them. Browsers without
+ * getUserMedia (or pages not served over HTTPS) keep using the file input.
+ */
+
+// Enough pixels for the 'detail' profile of image-quality.js
+const VIDEO_CONSTRAINTS = {
+  facingMode: { ideal: 'environment' },
+  width: { ideal: 1920 },
+  height: { ideal: 1080 }
+};
+
+// getUserMedia errors, by the `camera.error.*` message explaining them
+const ERROR_CODES = {
+  NotAllowedError: 'denied',
+  SecurityError: 'denied',
+  NotFoundError: 'missing',
+  OverconstrainedError: 'missing',
+  NotReadableError: 'busy',
+  AbortError: 'busy'
+};
+
+export function cameraSupported() {
+  return Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+/**
+ * Error code for a failed startCamera(): 'denied', 'missing', 'busy' or
+ * 'unsupported'.
+ */
+export function cameraErrorCode(err) {
+  return ERROR_CODES[err?.name] || 'unsupported';
+}
+
+/**
+ * Start the rear camera into `video`. Resolves to the camera handle used
+ * by the other functions; its `torch` and `focus` tell whether setTorch()
+ * and focusAt() can work on this device.
+ */
+export async function startCamera(video) {
+  if (!cameraSupported()) {
+    const err = new Error('getUserMedia is not available');
+    err.name = 'NotSupportedError';
+    throw err;
+  }
+  const stream = await navigator.mediaDevices.getUserMedia({ video: VIDEO_CONSTRAINTS, audio: false });
+  const [track] = stream.getVideoTracks();
+  const capabilities = track.getCapabilities?.() || {};
+  const focusModes = capabilities.focusMode || [];
+  const pointsOfInterest = 'pointsOfInterest' in capabilities;
+
+  video.srcObject = stream;
+  video.setAttribute('playsinline', ''); // iOS would otherwise go fullscreen
+  video.muted = true;
+  try {
+    await video.play();
+  } catch (err) {
+    stopCamera({ stream });
+    throw err;
+  }
+  console.log('[CAMERA] Started', track.label, track.getSettings?.());
+  return {
+    stream,
+    track,
+    torch: Boolean(capabilities.torch),
+    focus: pointsOfInterest || focusModes.includes('single-shot'),
+    pointsOfInterest,
+    focusModes
+  };
+}
+
+export function stopCamera(camera) {
+  camera?.stream?.getTracks().forEach(track => track.stop());
+}
+
+export async function setTorch(camera, on) {
+  if (!camera?.torch) return false;
+  await camera.track.applyConstraints({ advanced: [{ torch: on }] });
+  return true;
+}
+
+/**
+ * Focus on the point `x`, `y` of the frame (0-1 from the top left).
+ * Resolves to false when the camera cannot be told where to focus.
+ */
+export async function focusAt(camera, x, y) {
+  if (!camera?.focus) return false;
+  const constraints = {};
+  if (camera.pointsOfInterest) constraints.pointsOfInterest = [{ x, y }];
+  if (camera.focusModes.includes('single-shot')) constraints.focusMode = 'single-shot';
+  await camera.track.applyConstraints({ advanced: [constraints] });
+  return true;
+}
+
+/**
+ * Point of the video frame under the client coordinates of a tap, for a
+ * video shown with `object-fit: cover`.
+ */
+export function framePoint(video, clientX, clientY) {
+  const rect = video.getBoundingClientRect();
+  const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+  const width = video.videoWidth * scale;
+  const height = video.videoHeight * scale;
+  const clamp = value => Math.min(1, Math.max(0, value));
+  return {
+    x: clamp((clientX - rect.left - (rect.width - width) / 2) / width),
+    y: clamp((clientY - rect.top - (rect.height - height) / 2) / height)
+  };
+}
+
+/**
+ * Grab the current frame of `video` as a JPEG Blob, to go through
+ * prepareImage() like a file from the system camera.
+ */
+export function capturePhoto(video) {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  if (!canvas.width || !canvas.height) return Promise.reject(new Error('The camera has no picture yet'));
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The photo could not be encoded'))), 'image/jpeg', 0.95);
+  });
+}
@@ -0,0 +1,135 @@
+/*
+ * Plant Scanner PWA - Care schedules
+ *
+ * A scan can be kept as a plant with a care schedule: how often it is
+ * watered, fertilized and repotted, and when each was last done. Intervals
+ * are suggested from the care guide's `schedule` and can be edited. Plants
+ * live in the `plants` store:
+ *
+ *   { id, name, scientificName, thumbnail, createdAt,
+ *     tasks: { watering|fertilizing|repotting: { intervalDays, lastDone, notifiedFor } } }
+ *
+ * History entries of the plant carry its `plantId` (see linkScan()); they
+ * make up its health timeline (timeline.js).
+ *
+ * `notifiedFor` is the due date the service worker last sent a reminder
+ * for, so each due task is announced once (see checkCareTasks() in
+ * service-worker.js, which applies the same due rule as dueTasks()).
+ */
+
+import { openDB, requestToPromise } from './db.js';
+
+export const CARE_TASKS = ['watering', 'fertilizing', 'repotting'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Used when the care guide has no schedule (scans made before it existed)
+const DEFAULT_INTERVALS = { watering: 7, fertilizing: 30, repotting: 365 };
+
+/**
+ * Intervals in days suggested by a care guide, falling back to the
+ * defaults for anything it does not give.
+ */
+export function suggestIntervals(careGuide) {
+  const schedule = careGuide?.schedule || {};
+  const suggested = {
+    watering: schedule.watering_days,
+    fertilizing: schedule.fertilizing_days,
+    repotting: schedule.repotting_months && schedule.repotting_months * 30
+  };
+  return Object.fromEntries(CARE_TASKS.map(task => [
+    task,
+    suggested[task] > 0 ? Math.round(suggested[task]) : DEFAULT_INTERVALS[task]
+  ]));
+}
+
+export function dueDate(task) {
+  return task.lastDone + task.intervalDays * DAY;
+}
+
+/**
+ * Tasks due by the end of the day of `now`, most overdue first:
+ * [{ plant, task, dueAt }]
+ */
+export function dueTasks(plants, now = Date.now()) {
+  const endOfDay = new Date(now).setHours(23, 59, 59, 999);
+  return plants
+    .flatMap(plant => CARE_TASKS
+      .filter(task => plant.tasks?.[task])
+      .map(task => ({ plant, task, dueAt: dueDate(plant.tasks[task]) })))
+    .filter(({ dueAt }) => dueAt <= endOfDay)
+    .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+export async function getPlants() {
+  const db = await openDB();
+  return requestToPromise(db.transaction('plants', 'readonly').objectStore('plants').getAll());
+}
+
+export async function getPlant(id) {
+  const db = await openDB();
+  return requestToPromise(db.transaction('plants', 'readonly').objectStore('plants').get(id));
+}
+
+/**
+ * Create or update a plant. `intervals` are days per task; a task whose
+ * interval changed keeps its last-done date, a new one starts today.
+ */
+export async function savePlant({ id, name, scientificName, thumbnail, intervals }) {
+  const existing = id ? await getPlant(id) : null;
+  const now = Date.now();
+  const plant = existing || { id: crypto.randomUUID(), createdAt: now, tasks: {} };
+  plant.name = name;
+  if (scientificName !== undefined) plant.scientificName = scientificName;
+  if (thumbnail !== undefined) plant.thumbnail = thumbnail;
+  CARE_TASKS.forEach(task => {
+    plant.tasks[task] = { lastDone: now, ...plant.tasks[task], intervalDays: intervals[task] };
+  });
+  const db = await openDB();
+  await requestToPromise(db.transaction('plants', 'readwrite').objectStore('plants').put(plant));
+  return plant;
+}
+
+export async function markTaskDone(id, task) {
+  const plant = await getPlant(id);
+  if (!plant?.tasks?.[task]) return;
+  plant.tasks[task].lastDone = Date.now();
+  const db = await openDB();
+  await requestToPromise(db.transaction('plants', 'readwrite').objectStore('plants').put(plant));
+}
+
+// History entries linked to the plant, in no particular order.
+export async function getPlantScans(plantId) {
+  const db = await openDB();
+  return requestToPromise(db.transaction('history', 'readonly').objectStore('history').index('plantId').getAll(plantId));
+}
+
+// Link a history entry to a plant, or unlink it when `plantId` is null.
+export async function linkScan(historyId, plantId) {
+  const db = await openDB();
+  const store = db.transaction('history', 'readwrite').objectStore('history');
+  const entry = await requestToPromise(store.get(historyId));
+  if (!entry) return;
+  if (plantId) entry.plantId = plantId;
+  else delete entry.plantId;
+  await requestToPromise(store.put(entry));
+}
+
+// The plant's scans stay in the history, unlinked.
+export async function deletePlant(id) {
+  const db = await openDB();
+  const tx = db.transaction(['plants', 'history'], 'readwrite');
+  tx.objectStore('plants').delete(id);
+  const req = tx.objectStore('history').index('plantId').openCursor(id);
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return;
+    const { plantId, ...entry } = cursor.value;
+    cursor.update(entry);
+    cursor.continue();
+  };
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,77 @@
+/*
+ * Plant Scanner PWA - IndexedDB schema
+ *
+ * plantScannerDB holds everything the app keeps on the device:
+ *   settings  key/value pairs (geminiKey, locale, gemini, plantnet)
+ *   session   the capture in progress
+ *   history   completed scans, keyPath `id`, indexed by `timestamp`
+ *   pending   scans queued while offline, keyPath `id`
+ *   plants    plants with a care schedule, keyPath `id` (a UUID, so it
+ *             stays the same across devices); history entries point to
+ *             theirs through `plantId`
+ *
+ * The schema only ever moves forward through UPGRADES, one step per
+ * version. Backups record the version they were taken at and are restored
+ * through the same steps (see backup.js), so a change to the stored data
+ * belongs here rather than in the code reading it.
+ */
+
+export const DB_NAME = 'plantScannerDB';
+export const DB_VERSION = 5;
+
+// Step to each version from the one before. `tx` is the upgrade
+// transaction, for steps that need to rewrite existing records.
+const UPGRADES = {
+  2: db => {
+    if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
+    if (!db.objectStoreNames.contains('session')) db.createObjectStore('session');
+  },
+  3: db => {
+    if (!db.objectStoreNames.contains('history')) {
+      const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+      history.createIndex('timestamp', 'timestamp');
+    }
+  },
+  4: db => {
+    if (!db.objectStoreNames.contains('pending')) {
+      db.createObjectStore('pending', { keyPath: 'id', autoIncrement: true });
+    }
+  },
+  5: (db, tx) => {
+    if (!db.objectStoreNames.contains('plants')) db.createObjectStore('plants', { keyPath: 'id' });
+    const history = tx.objectStore('history');
+    if (!history.indexNames.contains('plantId')) history.createIndex('plantId', 'plantId');
+  }
+};
+
+/**
+ * Open `name` at `version`, running the upgrade steps from the version it
+ * is at. Other names are used for scratch copies of the schema.
+ */
+export function openDB(name = DB_NAME, version = DB_VERSION) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = e => {
+      for (let step = e.oldVersion + 1; step <= version; step++) {
+        UPGRADES[step]?.(req.result, req.transaction);
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let a newer version of the app, open in another tab, upgrade
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    // Another tab or the service worker still holds an older connection;
+    // the open resumes once it is closed
+    req.onblocked = () => console.warn(`[DB] Upgrade of ${name} to v${version} is waiting for other connections to close`);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
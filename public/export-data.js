@@ -0,0 +1,131 @@
+/*
+ * Plant Scanner PWA - Structured data export
+ *
+ * Scans exported for other tools: JSON (the full normalized result plus
+ * metadata), CSV (one row per scan, for spreadsheets) and Markdown (for
+ * notes). Input is history entries (see saveToHistory() in script.js);
+ * photos are left out, they belong in the PDF report.
+ */
+
+import { t, localeTag } from './i18n.js';
+import { SOURCE_LABELS, issuesOf } from './result.js';
+
+// Bumped when the JSON layout changes incompatibly.
+const JSON_FORMAT_VERSION = 1;
+
+export const FORMATS = {
+  json: { extension: 'json', type: 'application/json' },
+  csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+  markdown: { extension: 'md', type: 'text/markdown;charset=utf-8' }
+};
+
+// Stable column names; tools depend on them, so they are not translated.
+const CSV_COLUMNS = [
+  ['id', scan => scan.id],
+  ['date', scan => new Date(scan.timestamp).toISOString()],
+  ['common_name', scan => scan.result?.best_match?.common_name],
+  ['scientific_name', scan => scan.result?.best_match?.scientific_name],
+  ['family', scan => scan.result?.best_match?.family],
+  ['confidence', scan => scan.result?.best_match?.confidence],
+  ['source', scan => scan.result?.best_match?.source],
+  ['health_status', scan => scan.result?.health_assessment?.status],
+  ['issues', scan => issuesOf(scan.result).map(issue => issue.name).join('; ')],
+  ['identify_provider', scan => scan.provider?.identify],
+  ['ai_model', scan => scan.result?.ai_model]
+];
+
+const displayName = result =>
+  result?.best_match?.common_name || result?.best_match?.scientific_name || t('history.unknown');
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toJson(scans) {
+  return JSON.stringify({
+    app: 'plant-scanner',
+    format: JSON_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    scans: scans.map(scan => ({
+      id: scan.id ?? null,
+      date: new Date(scan.timestamp).toISOString(),
+      organs: scan.organs || [],
+      provider: scan.provider || null,
+      result: scan.result,
+      chat: scan.chat || []
+    }))
+  }, null, 2);
+}
+
+export function toCsv(scans) {
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name),
+    ...scans.map(scan => CSV_COLUMNS.map(([, read]) => read(scan)))
+  ];
+  // The BOM makes Excel read the file as UTF-8
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Markdown inline text: keep model output from turning into markup.
+const md = text => String(text ?? '').replace(/([\\`*_[\]#|<>])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+
+export function toMarkdown(scans) {
+  const lines = [`# ${t('data.title')}`, ''];
+  scans.forEach(scan => {
+    const { result } = scan;
+    const b = result?.best_match || {};
+    lines.push(`## ${md(displayName(result))}`, '');
+    // Same labels as the PDF report
+    lines.push(`- ${t('data.date', { date: new Date(scan.timestamp).toLocaleString(localeTag()) })}`);
+    if (b.scientific_name) lines.push(`- ${t('pdf.scientificName', { name: `*${md(b.scientific_name)}*` })}`);
+    if (b.family) lines.push(`- ${t('pdf.family', { family: md(b.family) })}`);
+    if (b.confidence != null) lines.push(`- ${t('pdf.confidence', { percent: Math.round(b.confidence * 100) })}`);
+    if (b.source) lines.push(`- ${t('pdf.source', { source: SOURCE_LABELS[b.source] || b.source })}`);
+    if (result?.ai_model) lines.push(`- ${t('pdf.model', { model: md(result.ai_model) })}`);
+    lines.push('');
+
+    const health = result?.health_assessment;
+    if (health) {
+      lines.push(`### ${t('data.health')}`, '');
+      if (health.status) lines.push(md(health.status), '');
+      issuesOf(result).forEach(issue => {
+        const likelihood = issue.likelihood != null ? ` (${Math.round(issue.likelihood * 100)}%)` : '';
+        lines.push(`- **${md(issue.name)}**${likelihood}${issue.safe_actions ? ` — ${md(issue.safe_actions)}` : ''}`);
+      });
+      if (issuesOf(result).length) lines.push('');
+    }
+
+    const care = result?.care_guide;
+    if (care) {
+      lines.push(`### ${t('data.care')}`, '');
+      ['watering', 'light', 'soil', 'fertilizing'].forEach(field => {
+        if (care[field]) lines.push(`- ${t(`pdf.${field}`, { text: md(care[field]) })}`);
+      });
+      lines.push('');
+    }
+  });
+  return lines.join('\n');
+}
+
+const SERIALIZERS = { json: toJson, csv: toCsv, markdown: toMarkdown };
+
+/**
+ * Download `scans` (history entries) in `format` ('json', 'csv' or
+ * 'markdown').
+ */
+export function exportData(scans, format) {
+  const { extension, type } = FORMATS[format];
+  const blob = new Blob([SERIALIZERS[format](scans)], { type });
+  const name = scans.length === 1
+    ? displayName(scans[0].result).replace(/[^a-zA-Z0-9À-ỹ\s]/g, '').trim() || 'plant-scan'
+    : `plant-scans-${new Date().toISOString().slice(0, 10)}`;
+  const link = document.createElement('a');
+  link.download = `${name}.${extension}`;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
@@ -0,0 +1,67 @@
+/*
+ * Plant Scanner PWA - Locale subsystem
+ *
+ * Message catalogs live in locales/<code>.js. Static markup opts in with
+ * data attributes, which applyTranslations() fills in:
+ *   data-i18n              textContent
+ *   data-i18n-html         innerHTML (catalog strings are trusted markup)
+ *   data-i18n-placeholder  placeholder attribute
+ *   data-i18n-title        title attribute
+ */
+
+import vi from './locales/vi.js';
+import en from './locales/en.js';
+
+// `tag` is the BCP 47 tag used for date formatting; the code itself is what
+// Pl@ntNet expects in its `lang` field.
+export const LOCALES = {
+  vi: { name: 'Tiếng Việt', tag: 'vi-VN', messages: vi },
+  en: { name: 'English', tag: 'en-GB', messages: en }
+};
+
+export const DEFAULT_LOCALE = 'vi';
+
+let current = DEFAULT_LOCALE;
+
+export function getLocale() {
+  return current;
+}
+
+export function localeTag() {
+  return LOCALES[current].tag;
+}
+
+/**
+ * Pick the best supported locale for a saved preference or, failing that,
+ * the browser languages.
+ */
+export function resolveLocale(saved) {
+  if (saved && LOCALES[saved]) return saved;
+  const preferred = (navigator.languages || [navigator.language || ''])
+    .map(lang => String(lang).slice(0, 2).toLowerCase())
+    .find(code => LOCALES[code]);
+  return preferred || DEFAULT_LOCALE;
+}
+
+export function setLocale(code) {
+  current = LOCALES[code] ? code : DEFAULT_LOCALE;
+  document.documentElement.lang = current;
+  applyTranslations();
+  return current;
+}
+
+/**
+ * Look up `key` in the current catalog, falling back to the default locale
+ * and then to the key itself, and substitute {placeholders} from `params`.
+ */
+export function t(key, params = {}) {
+  const template = LOCALES[current].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
@@ -0,0 +1,225 @@
+/*
+ * Plant Scanner PWA - Photo preparation and quality checks
+ *
+ * Every photo goes through prepareImage() before it is reviewed or queued:
+ *   1. decoded upright, whatever its EXIF orientation;
+ *   2. checked for blur, under- or over-exposure and a too small size, so
+ *      the review step can suggest a retake before a bad shot is analysed;
+ *   3. compressed to a size budget. Close-ups of a disease keep more
+ *      detail than the other shots, since the lesions are what matters.
+ */
+
+// Compression profiles: longest side, starting JPEG quality, size budget
+// of the data URI, and the lowest quality the budget may push it to.
+export const PROFILES = {
+  standard: { maxSide: 1024, quality: 0.8, maxBytes: 400 * 1024, minQuality: 0.5 },
+  detail: { maxSide: 1600, quality: 0.9, maxBytes: 800 * 1024, minQuality: 0.6 }
+};
+
+// Quality thresholds, measured on a grayscale copy ANALYSIS_SIDE pixels
+// long (luminance 0-255).
+const ANALYSIS_SIDE = 512;
+const MIN_SHORT_SIDE = 480;       // Pl@ntNet needs some detail to work with
+const BLUR_THRESHOLD = 40;        // Variance of the Laplacian below this is blurry
+const DARK_MEAN = 55;
+const BRIGHT_MEAN = 210;
+const CLIPPED_SHARE = 0.25;       // Share of pixels crushed to black or blown to white
+
+// ========== EXIF ORIENTATION ==========
+// Orientation tag (1-8) of a JPEG, 1 when absent. Also returns the stored
+// (unrotated) size from the frame header, used to tell whether the browser
+// already rotated the decoded image.
+function readJpegInfo(buffer) {
+  const view = new DataView(buffer);
+  const info = { orientation: 1, width: 0, height: 0 };
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return info;
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // Image data starts
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+      info.orientation = readOrientation(view, offset + 10) || 1;
+    } else if (marker >= 0xFFC0 && marker <= 0xFFCF && ![0xFFC4, 0xFFC8, 0xFFCC].includes(marker)) {
+      info.height = view.getUint16(offset + 5);
+      info.width = view.getUint16(offset + 7);
+    }
+    offset += 2 + length;
+  }
+  return info;
+}
+
+function readOrientation(view, tiff) {
+  if (tiff + 8 > view.byteLength) return 0;
+  const little = view.getUint16(tiff) === 0x4949;
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  if (ifd + 2 > view.byteLength) return 0;
+  const count = view.getUint16(ifd, little);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > view.byteLength) return 0;
+    if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little);
+  }
+  return 0;
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('The photo could not be decoded'));
+    img.src = url;
+  });
+}
+
+// Current browsers rotate images (and what they draw on a canvas) by their
+// EXIF orientation; older ones draw the stored pixels as they are.
+function browserAppliesOrientation(img, info) {
+  const swaps = info.orientation >= 5;
+  if (swaps && info.width && info.width !== info.height) {
+    return img.naturalWidth === info.height && img.naturalHeight === info.width;
+  }
+  return getComputedStyle(document.documentElement).imageOrientation === 'from-image';
+}
+
+// Draw `img` upright into a canvas of at most `maxSide` pixels.
+function drawUpright(img, orientation, maxSide) {
+  const swaps = orientation >= 5;
+  const srcW = img.naturalWidth;
+  const srcH = img.naturalHeight;
+  const scale = Math.min(1, maxSide / Math.max(srcW, srcH));
+  const w = Math.round(srcW * scale);
+  const h = Math.round(srcH * scale);
+  const canvas = document.createElement('canvas');
+  canvas.width = swaps ? h : w;
+  canvas.height = swaps ? w : h;
+  const ctx = canvas.getContext('2d');
+  // Transforms for orientations 2-8, as in the EXIF specification
+  const transforms = {
+    2: [-1, 0, 0, 1, w, 0],
+    3: [-1, 0, 0, -1, w, h],
+    4: [1, 0, 0, -1, 0, h],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, h, 0],
+    7: [0, -1, -1, 0, h, w],
+    8: [0, -1, 1, 0, 0, w]
+  };
+  if (transforms[orientation]) ctx.setTransform(...transforms[orientation]);
+  ctx.drawImage(img, 0, 0, w, h);
+  return canvas;
+}
+
+// ========== QUALITY ==========
+/**
+ * Measure a canvas: mean luminance, clipped shares and sharpness (the
+ * variance of the Laplacian, which drops as edges get soft, scaled to a
+ * mid-grey exposure).
+ */
+export function measureQuality(canvas) {
+  const scale = Math.min(1, ANALYSIS_SIDE / Math.max(canvas.width, canvas.height));
+  const w = Math.max(3, Math.round(canvas.width * scale));
+  const h = Math.max(3, Math.round(canvas.height * scale));
+  const small = document.createElement('canvas');
+  small.width = w;
+  small.height = h;
+  const ctx = small.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const gray = new Float32Array(w * h);
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+  for (let i = 0; i < gray.length; i++) {
+    const y = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    gray[i] = y;
+    sum += y;
+    if (y < 16) dark++;
+    if (y > 245) bright++;
+  }
+
+  let lapSum = 0;
+  let lapSq = 0;
+  let n = 0;
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const lap = gray[i - w] + gray[i + w] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      lapSum += lap;
+      lapSq += lap * lap;
+      n++;
+    }
+  }
+  const lapMean = lapSum / n;
+  const brightness = sum / gray.length;
+  // Dim photos have weaker edges; compensate so they are not taken for blurry
+  const exposure = brightness < 128 ? (128 / Math.max(brightness, 1)) ** 2 : 1;
+  return {
+    brightness,
+    darkShare: dark / gray.length,
+    brightShare: bright / gray.length,
+    sharpness: (lapSq / n - lapMean * lapMean) * exposure
+  };
+}
+
+/**
+ * Warnings for a photo of `width` x `height` with `metrics` from
+ * measureQuality(): any of 'blur', 'dark', 'bright', 'small'.
+ */
+export function qualityWarnings(metrics, width, height) {
+  const warnings = [];
+  if (metrics.sharpness < BLUR_THRESHOLD) warnings.push('blur');
+  if (metrics.brightness < DARK_MEAN || metrics.darkShare > CLIPPED_SHARE) warnings.push('dark');
+  else if (metrics.brightness > BRIGHT_MEAN || metrics.brightShare > CLIPPED_SHARE) warnings.push('bright');
+  if (Math.min(width, height) < MIN_SHORT_SIDE) warnings.push('small');
+  return warnings;
+}
+
+// ========== COMPRESSION ==========
+// Lower the quality, then the size, until the data URI fits the budget.
+function encode(canvas, profile) {
+  let quality = profile.quality;
+  let dataUri = canvas.toDataURL('image/jpeg', quality);
+  while (dataUri.length > profile.maxBytes && quality > profile.minQuality) {
+    quality = Math.max(profile.minQuality, quality - 0.1);
+    dataUri = canvas.toDataURL('image/jpeg', quality);
+  }
+  while (dataUri.length > profile.maxBytes && canvas.width > 320) {
+    const smaller = document.createElement('canvas');
+    smaller.width = Math.round(canvas.width * 0.8);
+    smaller.height = Math.round(canvas.height * 0.8);
+    smaller.getContext('2d').drawImage(canvas, 0, 0, smaller.width, smaller.height);
+    canvas = smaller;
+    dataUri = canvas.toDataURL('image/jpeg', quality);
+  }
+  return { dataUri, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Decode, check and compress a photo file with the named profile
+ * ('standard' or 'detail'). Resolves to
+ * `{ dataUri, width, height, warnings, metrics }`. The size warning is
+ * about the photo as taken, before compression.
+ */
+export async function prepareImage(file, profileName = 'standard') {
+  const profile = PROFILES[profileName] || PROFILES.standard;
+  const info = readJpegInfo(await file.arrayBuffer());
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await loadImage(url);
+    const orientation = browserAppliesOrientation(img, info) ? 1 : info.orientation;
+    const swaps = orientation >= 5;
+    const originalWidth = swaps ? img.naturalHeight : img.naturalWidth;
+    const originalHeight = swaps ? img.naturalWidth : img.naturalHeight;
+
+    const canvas = drawUpright(img, orientation, profile.maxSide);
+    const metrics = measureQuality(canvas);
+    const warnings = qualityWarnings(metrics, originalWidth, originalHeight);
+    const encoded = encode(canvas, profile);
+    console.log('[IMAGE] Prepared', `${originalWidth}x${originalHeight} -> ${encoded.width}x${encoded.height}`,
+      `${Math.round(encoded.dataUri.length / 1024)} KB`, warnings.length ? `warnings: ${warnings.join(', ')}` : '');
+    return { ...encoded, warnings, metrics };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
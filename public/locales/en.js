@@ -0,0 +1,290 @@
+/*
+ * Plant Scanner PWA - English messages
+ * Placeholders in braces, e.g. {count}, are filled in by t().
+ */
+export default {
+  // Key & settings modals
+  'keyModal.title': 'Enter your Gemini API key',
+  'keyModal.body': 'Advanced analysis needs your own Gemini API key. The key is stored locally on this device (IndexedDB) and is never sent to our server.',
+  'keyModal.link': 'Get a free key at:',
+  'keyModal.placeholder': 'Gemini API Key',
+  'keyModal.save': 'Save',
+  'settings.title': 'API settings',
+  'settings.language': 'Language',
+  'settings.changeKey': 'Change key',
+  'settings.deleteKey': 'Delete key',
+  'settings.keySaved': 'Gemini key saved.',
+  'settings.keyMissing': 'No Gemini key yet.',
+  'settings.keyServer': 'No personal key. The server\'s Gemini is used.',
+  'settings.gemini': 'Gemini models',
+  'settings.models': 'Model chain (one per line, tried in order when one fails)',
+  'settings.temperature': 'Temperature',
+  'settings.maxTokens': 'Max output tokens',
+  'settings.default': 'Default',
+  'settings.plantnet': 'Pl@ntNet identification',
+  'settings.project': 'Flora',
+  'settings.allProjects': 'All floras',
+  'settings.noReject': 'Always return species, even when the photo does not look like a plant',
+  'settings.backup': 'Backup and restore',
+  'backup.includeKey': 'Include the Gemini key in backups',
+  'backup.mode': 'When restoring',
+  'backup.merge': 'Merge with existing data',
+  'backup.replace': 'Replace existing data',
+  'backup.create': 'Create backup',
+  'backup.restore': 'Restore from file…',
+  'backup.confirmReplace': 'All settings, history and queued scans on this device will be replaced by the backup. Continue?',
+  'backup.restored': 'Restored {scans} scans and {pending} queued scans. The app will reload.',
+  'backup.failed': 'Backup/restore failed: {message}',
+  'backup.error.invalid': 'This file is not a Plant Scanner backup, or it is damaged.',
+  'backup.error.newer': 'This backup was made by a newer version of the app. Update the app and try again.',
+  'common.close': 'Close',
+
+  // Header
+  'header.install': 'Install app',
+  'header.history': 'My Garden',
+  'header.settings': 'Settings',
+
+  // Capture flow
+  'scan.start': 'Press <strong>SCAN</strong> to start.',
+  'scan.button': 'SCAN',
+  'scan.new': 'SCAN ANOTHER',
+  'scan.done': 'Analysis complete.',
+  'scan.cancelled': 'Analysis cancelled. Your photos were kept.',
+  'step.progress': 'Step {step}/{total}: {text}',
+  'step.habit': 'Photograph the <strong>whole plant</strong>',
+  'step.leaf': 'Photograph a <strong>healthy leaf</strong>',
+  'step.issue': 'Photograph the <strong>affected area or another leaf</strong>',
+  'step.full': '{max} photos taken. Reorder them or press <strong>Analyse</strong>.',
+  'step.extra': 'Take more photos (optional, {remaining} left) or press <strong>Analyse</strong>.',
+  'review.organQuestion': 'Which part of the plant is this?',
+  'quality.title': 'This photo may lead to a wrong result:',
+  'quality.blur': 'The photo is blurry or shaken. Hold steady and tap the plant to focus.',
+  'quality.dark': 'The photo is too dark. Move somewhere brighter.',
+  'quality.bright': 'The photo is overexposed. Avoid direct sunlight and the flash.',
+  'quality.small': 'The photo resolution is too low. Use the camera rather than a thumbnail.',
+  'quality.retake': 'Consider retaking it.',
+  'camera.starting': 'Starting the camera…',
+  'camera.guide.plant': 'Fit the whole plant inside the frame.',
+  'camera.guide.leaf': 'Fill the outline with a single leaf, held flat.',
+  'camera.guide.closeup': 'Get close to the affected area and tap it to focus.',
+  'camera.guide.none': 'Frame the part of the plant you want to add.',
+  'camera.close': 'Close the camera',
+  'camera.torch': 'Torch',
+  'camera.shutter': 'Take photo',
+  'camera.system': '📷 Phone camera app',
+  'camera.error.denied': 'Camera access was refused. Allow it in the browser settings, or use the phone camera app.',
+  'camera.error.missing': 'No camera was found. Use the phone camera app or import a photo.',
+  'camera.error.busy': 'The camera is in use by another app. Close it, or use the phone camera app.',
+  'camera.error.unsupported': 'The in-app camera is not available here (it needs HTTPS). Use the phone camera app.',
+  'review.retake': 'Retake',
+  'review.confirm': 'Continue',
+  'queue.import': '🖼️ Choose from gallery',
+  'queue.skip': 'Skip this step',
+  'queue.analyze': 'Analyse',
+  'queue.analyzeCount': 'Analyse ({count}/{max})',
+  'queue.image': 'Photo {n}',
+  'queue.organ': 'Plant part',
+  'queue.moveLeft': 'Move earlier',
+  'queue.moveRight': 'Move later',
+  'queue.remove': 'Remove photo',
+  'import.tooMany': 'Only {remaining} more photos can be added ({max} per scan).',
+  'error.image': 'Could not process the image: {message}',
+  'error.generic': 'Error: {message}',
+  'loading.analyzing': 'Analysing...',
+  'loading.uploading': 'Uploading photos... {percent}%',
+  'loading.plantnet': 'Identifying with Pl@ntNet...',
+  'loading.diseases': 'Checking for diseases...',
+  'loading.gemini': 'Gemini is analysing...',
+  'loading.rendering': 'Showing the results...',
+  'loading.cancel': 'Cancel',
+
+  // Offline queue
+  'queue.saved': 'You are offline. The scan was saved and will be analysed once you are back online.',
+  'queue.title': 'Pending scans',
+  'queue.status.queued': 'Waiting for network',
+  'queue.status.identifying': 'Identifying...',
+  'queue.status.identified': 'Identified, waiting for AI analysis',
+  'queue.status.analyzing': 'Running AI analysis...',
+  'queue.status.failed': 'Failed',
+  'queue.retry': 'Retry',
+  'queue.confirmDelete': 'Cancel this pending scan?',
+  'queue.readyTitle': 'Scan results are ready',
+  'queue.readyBody': 'Offline scan: {name}. Tap to view.',
+
+  // App update
+  'update.available': 'A new version is available.',
+  'update.reload': 'Reload',
+
+  // Organs
+  'organ.auto': 'Auto',
+  'organ.leaf': 'Leaf',
+  'organ.flower': 'Flower',
+  'organ.fruit': 'Fruit',
+  'organ.bark': 'Bark',
+  'organ.habit': 'Whole plant',
+
+  // Results
+  'result.empty': 'Could not identify the plant. Try again with other photos.',
+  'result.failedTitle': 'The photos could not be analysed',
+  'result.aiFailed': 'No AI analysis for this scan',
+  'result.model': 'AI analysis by {model}',
+  'result.family': 'Family: {family}',
+  'result.genus': 'Genus {genus}',
+  'result.familyShort': 'Family {family}',
+  'result.confidence': 'Confidence: {percent}%',
+  'result.agree': '✅ Pl@ntNet and Gemini identified the same species.',
+  'result.partial': '⚠️ Same genus, different species',
+  'result.conflict': '⚠️ The two sources disagree',
+  'result.candidates': '🔎 Possible species',
+  'result.chosen': '✔ Selected',
+  'result.choose': 'Select',
+  'result.health': '🏥 Health',
+  'result.care': '📚 Care',
+  'result.careNeedsKey': 'A Gemini key is needed to write a care guide for the selected species.',
+  'result.careCancelled': 'Writing the care guide was cancelled.',
+  'result.careRetry': '↻ Write the care guide',
+  'result.funFacts': '✨ Fun facts',
+
+  // History
+  'history.title': 'My Garden',
+  'history.search': 'Search by common or scientific name',
+  'history.noMatch': 'No matching plants.',
+  'history.empty': 'No scans yet.',
+  'history.unknown': 'Unknown plant',
+  'history.open': 'Open',
+  'history.pdf': 'Export PDF',
+  'history.delete': 'Delete',
+  'history.format': 'Export format',
+  'history.select': 'Select for export',
+  'history.exportSelected': 'Export selected ({count})',
+  'history.resultOf': 'Result from {date}.',
+  'history.confirmDiscard': 'You are in the middle of a scan. Opening an old result will discard it. Continue?',
+  'history.confirmDelete': 'Delete this scan from your history?',
+
+  // Export
+  'export.pdf': 'Export PDF',
+  'export.image': 'Save image',
+  'export.data': 'Data',
+  'care.plan': 'Care schedule',
+  'care.title': 'Care schedule',
+  'care.name': 'Plant name',
+  'care.wateringEvery': 'Water every (days)',
+  'care.fertilizingEvery': 'Fertilize every (days)',
+  'care.repottingEvery': 'Repot every (months)',
+  'care.suggested': 'Suggested from the care guide. Adjust to your home\'s conditions.',
+  'care.defaults': 'The care guide has no schedule, so these are defaults.',
+  'care.save': 'Save schedule',
+  'care.delete': 'Delete plant',
+  'care.confirmDelete': 'Delete this plant and its schedule? Its scans stay in the history.',
+  'care.saved': 'Care schedule saved. You will be reminded when tasks are due.',
+  'care.saveFailed': 'Could not save the care schedule: {message}',
+  'care.today': 'Today\'s plant care',
+  'care.dueToday': 'Due today',
+  'care.overdue': 'Overdue by {days} days',
+  'care.markDone': 'Mark as done',
+  'care.edit': 'Edit care schedule',
+  'care.task.watering': 'Water',
+  'care.task.fertilizing': 'Fertilize',
+  'care.task.repotting': 'Repot',
+  'timeline.open': 'Health timeline',
+  'timeline.title': 'Health of {name}',
+  'timeline.linkTitle': 'Which plant is this scan of?',
+  'timeline.linkBody': 'Link the scan to a saved plant to follow its health across scans.',
+  'timeline.newPlant': 'New plant…',
+  'timeline.noPlants': 'No saved plants yet. Choose "New plant" to create one from this scan.',
+  'timeline.notSaved': 'This scan was not saved to the history, so it cannot be linked to a plant.',
+  'timeline.rescan': 'Rescan this plant',
+  'timeline.rescanStarted': 'Take new photos of {name}. The result will be linked to it.',
+  'timeline.rescanHint': 'Rescan the plant after care or treatment to compare.',
+  'timeline.rescanBusy': 'Wait for the current scan to finish first.',
+  'timeline.unlink': 'Unlink',
+  'timeline.noStatus': 'No assessment',
+  'timeline.noIssues': 'No health issues recorded.',
+  'timeline.issue': 'Issue',
+  'timeline.trend': 'Trend',
+  'timeline.trend.new': 'New',
+  'timeline.trend.worsening': 'Worsening',
+  'timeline.trend.improving': 'Improving',
+  'timeline.trend.resolved': 'Gone',
+  'timeline.trend.stable': 'Stable',
+  'export.imageFailed': 'Could not save the image. Please try again.',
+  'share.link': 'Share link',
+  'share.again': 'Send the link again',
+  'share.update': 'Update and send the link',
+  'share.outdated': 'The shared page still shows the species chosen before.',
+  'share.stop': 'Stop sharing',
+  'share.expires': 'The link works until {date}.',
+  'share.title': 'Plant diagnosis: {name}',
+  'share.text': '{name}: diagnosis and care advice from Plant Scanner',
+  'share.copied': 'Link copied to the clipboard.',
+  'share.copyPrompt': 'Copy this link:',
+  'share.confirmStop': 'Delete the shared page? The link will stop working for everyone who has it.',
+  'share.stopped': 'The shared link has been deleted.',
+  'share.error.offline': 'Sharing a link needs an internet connection.',
+  'share.error.unavailable': 'This server does not support shared links. Export a PDF instead.',
+  'share.error.failed': 'Could not share the link: {message}',
+  'shared.loading': 'Loading the report…',
+  'shared.notFound': 'This link has expired or was deleted.',
+  'shared.meta': 'Scanned {date} · link valid until {expires}',
+  'shared.openApp': 'Scan your own plant',
+  'data.title': 'Plant scan log',
+  'data.date': 'Scanned: {date}',
+  'data.health': 'Health',
+  'data.care': 'Care',
+  'pdf.subtitle': 'Analysis report - {date} {time}',
+  'pdf.images': 'PHOTOS',
+  'pdf.caption': 'Photo {n} · {organ}',
+  'pdf.identification': 'IDENTIFICATION',
+  'pdf.commonName': 'Common name: {name}',
+  'pdf.scientificName': 'Scientific name: {name}',
+  'pdf.family': 'Family: {family}',
+  'pdf.confidence': 'Confidence: {percent}%',
+  'pdf.source': 'Source: {source}',
+  'pdf.conflict': 'Note: Pl@ntNet and Gemini disagree',
+  'pdf.candidates': 'SIMILAR SPECIES',
+  'pdf.health': 'PLANT HEALTH',
+  'pdf.care': 'CARE GUIDE',
+  'pdf.watering': 'Watering: {text}',
+  'pdf.light': 'Light: {text}',
+  'pdf.soil': 'Soil: {text}',
+  'pdf.fertilizing': 'Fertilizing: {text}',
+  'pdf.chat': 'QUESTIONS & ANSWERS',
+  'pdf.funFacts': 'FUN FACTS',
+  'pdf.model': 'AI: {model}',
+  'pdf.page': 'Page {page}/{total}',
+  'pdf.combinedSubtitle': 'Combined report · {count} scans · {date}',
+  'pdf.contents': 'CONTENTS',
+  'pdf.combinedFile': 'Plant Scanner {count} plants',
+
+  // Gemini prompts
+  'prompt.role': 'You are a botanist.',
+  'prompt.analyze': 'Analyse the plant photos. Confidence and likelihood are numbers between 0 and 1.',
+  'prompt.candidates': '"candidates" lists up to 5 possible species (including look-alikes), ordered by decreasing confidence.',
+  'prompt.organs': 'Plant parts in the photos: {list}.',
+  'prompt.organ': 'Photo {n}: {organ}',
+  'prompt.careGuide': 'Write a care guide for {species}.',
+  'prompt.schedule': '"care_guide.schedule" gives the usual intervals for the plant grown indoors: days between waterings, days between feedings in the growing season and months between repottings.',
+  'prompt.language': 'Answer in English. Return JSON only.',
+  'prompt.repair': 'Your previous answer did not match the required JSON schema: {errors}. Return the corrected JSON.',
+
+  'prompt.chat': 'You are a botanist helping the user care for the plant in the photos. The identification result (JSON) is: {result}. Answer follow-up questions concisely and practically in English, and say so when the photos are not enough to be sure.',
+
+  // Follow-up chat
+  'chat.title': '💬 Ask about this plant',
+  'chat.placeholder': 'E.g. why are the leaf tips brown?',
+  'chat.send': 'Send',
+  'chat.hint': 'Ask anything about the scanned plant, e.g. "Can I repot it now?"',
+  'chat.thinking': 'Thinking...',
+  'chat.you': 'You',
+  'chat.assistant': 'Gemini',
+  'chat.includeInPdf': 'Include the conversation in the PDF',
+
+  // Gemini errors
+  'ai.error.invalid_output': 'Gemini returned an invalid answer, even after retrying.',
+  'ai.error.blocked': 'Gemini declined to analyse these photos.',
+  'ai.error.quota': 'The Gemini quota is exhausted. Please try again later.',
+  'ai.error.key': 'The Gemini API key was rejected. Check it in Settings.',
+  'ai.error.network': 'Could not reach Gemini.',
+  'ai.error.timeout': 'Gemini took too long to answer. Please try again.',
+  'ai.error.unknown': 'Gemini analysis failed: {message}'
+};
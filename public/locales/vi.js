@@ -0,0 +1,290 @@
+/*
+ * Plant Scanner PWA - Vietnamese messages (default locale)
+ * Placeholders in braces, e.g. {count}, are filled in by t().
+ */
+export default {
+  // Key & settings modals
+  'keyModal.title': 'Nhập khóa API Gemini',
+  'keyModal.body': 'Để sử dụng tính năng phân tích nâng cao, bạn cần cung cấp khóa API Gemini của riêng mình. Khóa này sẽ được lưu cục bộ trên thiết bị của bạn (IndexedDB) và không được gửi tới máy chủ.',
+  'keyModal.link': 'Lấy khóa miễn phí tại:',
+  'keyModal.placeholder': 'Gemini API Key',
+  'keyModal.save': 'Lưu',
+  'settings.title': 'Cài đặt API',
+  'settings.language': 'Ngôn ngữ',
+  'settings.changeKey': 'Thay đổi khóa',
+  'settings.deleteKey': 'Xóa khóa',
+  'settings.keySaved': 'Đã lưu khóa Gemini.',
+  'settings.keyMissing': 'Chưa có khóa Gemini.',
+  'settings.keyServer': 'Chưa có khóa riêng. Đang dùng Gemini của máy chủ.',
+  'settings.gemini': 'Mô hình Gemini',
+  'settings.models': 'Danh sách mô hình (mỗi dòng một mô hình, thử lần lượt khi lỗi)',
+  'settings.temperature': 'Temperature',
+  'settings.maxTokens': 'Số token tối đa',
+  'settings.default': 'Mặc định',
+  'settings.plantnet': 'Nhận dạng Pl@ntNet',
+  'settings.project': 'Hệ thực vật',
+  'settings.allProjects': 'Tất cả hệ thực vật',
+  'settings.noReject': 'Luôn trả về kết quả, kể cả khi ảnh không giống thực vật',
+  'settings.backup': 'Sao lưu và khôi phục',
+  'backup.includeKey': 'Kèm khóa Gemini trong bản sao lưu',
+  'backup.mode': 'Khi khôi phục',
+  'backup.merge': 'Gộp với dữ liệu hiện có',
+  'backup.replace': 'Thay thế dữ liệu hiện có',
+  'backup.create': 'Tạo bản sao lưu',
+  'backup.restore': 'Khôi phục từ tệp…',
+  'backup.confirmReplace': 'Toàn bộ cài đặt, lịch sử và lượt quét đang chờ trên máy này sẽ bị thay bằng bản sao lưu. Tiếp tục?',
+  'backup.restored': 'Đã khôi phục {scans} lượt quét và {pending} lượt quét đang chờ. Ứng dụng sẽ tải lại.',
+  'backup.failed': 'Sao lưu/khôi phục thất bại: {message}',
+  'backup.error.invalid': 'Tệp này không phải bản sao lưu Plant Scanner hoặc đã bị hỏng.',
+  'backup.error.newer': 'Bản sao lưu được tạo bởi phiên bản mới hơn của ứng dụng. Hãy cập nhật ứng dụng rồi thử lại.',
+  'common.close': 'Đóng',
+
+  // Header
+  'header.install': 'Cài đặt ứng dụng',
+  'header.history': 'Vườn của tôi',
+  'header.settings': 'Cài đặt',
+
+  // Capture flow
+  'scan.start': 'Nhấn nút <strong>SCAN</strong> để bắt đầu.',
+  'scan.button': 'SCAN',
+  'scan.new': 'QUÉT CÂY KHÁC',
+  'scan.done': 'Đã hoàn thành phân tích.',
+  'scan.cancelled': 'Đã hủy phân tích. Ảnh của bạn vẫn được giữ lại.',
+  'step.progress': 'Bước {step}/{total}: {text}',
+  'step.habit': 'Chụp ảnh <strong>toàn cảnh cây</strong>',
+  'step.leaf': 'Chụp ảnh <strong>lá khỏe mạnh</strong>',
+  'step.issue': 'Chụp ảnh <strong>vùng bị bệnh hoặc lá khác</strong>',
+  'step.full': 'Đã đủ {max} ảnh. Sắp xếp lại hoặc nhấn <strong>Phân tích</strong>.',
+  'step.extra': 'Chụp thêm ảnh (tùy chọn, còn {remaining}) hoặc nhấn <strong>Phân tích</strong>.',
+  'review.organQuestion': 'Ảnh này chụp bộ phận nào?',
+  'quality.title': 'Ảnh này có thể cho kết quả sai:',
+  'quality.blur': 'Ảnh bị mờ hoặc rung. Giữ máy thật chắc và chạm vào cây để lấy nét.',
+  'quality.dark': 'Ảnh quá tối. Hãy chụp ở nơi sáng hơn.',
+  'quality.bright': 'Ảnh bị cháy sáng. Tránh ánh nắng chiếu thẳng hoặc đèn flash.',
+  'quality.small': 'Ảnh có độ phân giải quá thấp. Hãy chụp bằng camera thay vì dùng ảnh thu nhỏ.',
+  'quality.retake': 'Nên chụp lại ảnh này.',
+  'camera.starting': 'Đang mở camera…',
+  'camera.guide.plant': 'Đưa toàn bộ cây vào trong khung.',
+  'camera.guide.leaf': 'Đặt một chiếc lá phẳng lấp đầy khung.',
+  'camera.guide.closeup': 'Đưa camera lại gần vùng bị bệnh và chạm vào đó để lấy nét.',
+  'camera.guide.none': 'Đưa bộ phận của cây bạn muốn chụp thêm vào khung.',
+  'camera.close': 'Đóng camera',
+  'camera.torch': 'Đèn',
+  'camera.shutter': 'Chụp ảnh',
+  'camera.system': '📷 Ứng dụng camera',
+  'camera.error.denied': 'Quyền truy cập camera bị từ chối. Hãy cho phép trong cài đặt trình duyệt, hoặc dùng ứng dụng camera của điện thoại.',
+  'camera.error.missing': 'Không tìm thấy camera. Hãy dùng ứng dụng camera của điện thoại hoặc chọn ảnh từ thư viện.',
+  'camera.error.busy': 'Camera đang được ứng dụng khác sử dụng. Hãy đóng ứng dụng đó, hoặc dùng ứng dụng camera của điện thoại.',
+  'camera.error.unsupported': 'Camera trong ứng dụng không dùng được ở đây (cần HTTPS). Hãy dùng ứng dụng camera của điện thoại.',
+  'review.retake': 'Chụp lại',
+  'review.confirm': 'Tiếp tục',
+  'queue.import': '🖼️ Chọn từ thư viện',
+  'queue.skip': 'Bỏ qua bước này',
+  'queue.analyze': 'Phân tích',
+  'queue.analyzeCount': 'Phân tích ({count}/{max})',
+  'queue.image': 'Ảnh {n}',
+  'queue.organ': 'Bộ phận',
+  'queue.moveLeft': 'Chuyển lên trước',
+  'queue.moveRight': 'Chuyển ra sau',
+  'queue.remove': 'Xóa ảnh',
+  'import.tooMany': 'Chỉ thêm được {remaining} ảnh nữa (tối đa {max} ảnh mỗi lượt quét).',
+  'error.image': 'Lỗi xử lý ảnh: {message}',
+  'error.generic': 'Lỗi: {message}',
+  'loading.analyzing': 'Đang phân tích dữ liệu...',
+  'loading.uploading': 'Đang tải ảnh lên... {percent}%',
+  'loading.plantnet': 'Đang nhận dạng với Pl@ntNet...',
+  'loading.diseases': 'Đang kiểm tra bệnh...',
+  'loading.gemini': 'Gemini đang phân tích...',
+  'loading.rendering': 'Đang hiển thị kết quả...',
+  'loading.cancel': 'Hủy',
+
+  // Offline queue
+  'queue.saved': 'Không có mạng. Lượt quét đã được lưu và sẽ tự phân tích khi có kết nối.',
+  'queue.title': 'Lượt quét đang chờ',
+  'queue.status.queued': 'Đang chờ mạng',
+  'queue.status.identifying': 'Đang nhận diện...',
+  'queue.status.identified': 'Đã nhận diện, chờ phân tích AI',
+  'queue.status.analyzing': 'Đang phân tích AI...',
+  'queue.status.failed': 'Thất bại',
+  'queue.retry': 'Thử lại',
+  'queue.confirmDelete': 'Hủy lượt quét đang chờ này?',
+  'queue.readyTitle': 'Đã có kết quả nhận diện',
+  'queue.readyBody': 'Lượt quét ngoại tuyến: {name}. Chạm để xem.',
+
+  // App update
+  'update.available': 'Đã có phiên bản mới.',
+  'update.reload': 'Tải lại',
+
+  // Organs
+  'organ.auto': 'Tự động',
+  'organ.leaf': 'Lá',
+  'organ.flower': 'Hoa',
+  'organ.fruit': 'Quả',
+  'organ.bark': 'Vỏ thân',
+  'organ.habit': 'Toàn cây',
+
+  // Results
+  'result.empty': 'Không xác định được cây. Thử lại với ảnh khác.',
+  'result.failedTitle': 'Không thể phân tích ảnh',
+  'result.aiFailed': 'Không có phân tích AI cho lượt quét này',
+  'result.model': 'Phân tích AI bởi {model}',
+  'result.family': 'Họ: {family}',
+  'result.genus': 'Chi {genus}',
+  'result.familyShort': 'Họ {family}',
+  'result.confidence': 'Độ tin cậy: {percent}%',
+  'result.agree': '✅ Pl@ntNet và Gemini cùng nhận diện loài này.',
+  'result.partial': '⚠️ Cùng chi nhưng khác loài',
+  'result.conflict': '⚠️ Hai nguồn cho kết quả khác nhau',
+  'result.candidates': '🔎 Các loài có thể',
+  'result.chosen': '✔ Đã chọn',
+  'result.choose': 'Chọn',
+  'result.health': '🏥 Sức khỏe',
+  'result.care': '📚 Chăm sóc',
+  'result.careNeedsKey': 'Cần khóa Gemini để tạo hướng dẫn chăm sóc cho loài đã chọn.',
+  'result.careCancelled': 'Đã hủy việc tạo hướng dẫn chăm sóc.',
+  'result.careRetry': '↻ Tạo hướng dẫn chăm sóc',
+  'result.funFacts': '✨ Thú vị',
+
+  // History
+  'history.title': 'Vườn của tôi',
+  'history.search': 'Tìm theo tên thường gọi hoặc tên khoa học',
+  'history.noMatch': 'Không tìm thấy cây phù hợp.',
+  'history.empty': 'Chưa có lượt quét nào.',
+  'history.unknown': 'Không rõ tên',
+  'history.open': 'Xem lại',
+  'history.pdf': 'Xuất PDF',
+  'history.delete': 'Xóa',
+  'history.format': 'Định dạng xuất',
+  'history.select': 'Chọn để xuất',
+  'history.exportSelected': 'Xuất mục đã chọn ({count})',
+  'history.resultOf': 'Kết quả ngày {date}.',
+  'history.confirmDiscard': 'Bạn đang chụp dở. Mở kết quả cũ sẽ hủy lượt quét hiện tại?',
+  'history.confirmDelete': 'Xóa lượt quét này khỏi lịch sử?',
+
+  // Export
+  'export.pdf': 'Xuất PDF',
+  'export.image': 'Tải ảnh',
+  'export.data': 'Dữ liệu',
+  'care.plan': 'Lịch chăm sóc',
+  'care.title': 'Lịch chăm sóc',
+  'care.name': 'Tên cây',
+  'care.wateringEvery': 'Tưới nước sau mỗi (ngày)',
+  'care.fertilizingEvery': 'Bón phân sau mỗi (ngày)',
+  'care.repottingEvery': 'Thay chậu sau mỗi (tháng)',
+  'care.suggested': 'Gợi ý theo hướng dẫn chăm sóc. Hãy điều chỉnh theo điều kiện nhà bạn.',
+  'care.defaults': 'Hướng dẫn chăm sóc chưa có lịch cụ thể, đây là giá trị mặc định.',
+  'care.save': 'Lưu lịch',
+  'care.delete': 'Xóa cây',
+  'care.confirmDelete': 'Xóa cây này và lịch chăm sóc? Các lượt quét vẫn được giữ trong lịch sử.',
+  'care.saved': 'Đã lưu lịch chăm sóc. Bạn sẽ được nhắc khi đến hạn.',
+  'care.saveFailed': 'Không lưu được lịch chăm sóc: {message}',
+  'care.today': 'Việc chăm cây hôm nay',
+  'care.dueToday': 'Đến hạn hôm nay',
+  'care.overdue': 'Quá hạn {days} ngày',
+  'care.markDone': 'Đánh dấu đã làm',
+  'care.edit': 'Sửa lịch chăm sóc',
+  'care.task.watering': 'Tưới nước',
+  'care.task.fertilizing': 'Bón phân',
+  'care.task.repotting': 'Thay chậu',
+  'timeline.open': 'Theo dõi sức khỏe',
+  'timeline.title': 'Sức khỏe của {name}',
+  'timeline.linkTitle': 'Lượt quét này thuộc cây nào?',
+  'timeline.linkBody': 'Gắn lượt quét với một cây đã lưu để theo dõi sức khỏe của cây qua các lần quét.',
+  'timeline.newPlant': 'Cây mới…',
+  'timeline.noPlants': 'Chưa có cây nào được lưu. Chọn "Cây mới" để tạo cây từ lượt quét này.',
+  'timeline.notSaved': 'Lượt quét này chưa được lưu vào lịch sử nên không thể gắn với cây.',
+  'timeline.rescan': 'Quét lại cây này',
+  'timeline.rescanStarted': 'Hãy chụp lại {name}. Kết quả sẽ được gắn vào cây này.',
+  'timeline.rescanHint': 'Quét lại cây sau khi chăm sóc hoặc điều trị để so sánh.',
+  'timeline.rescanBusy': 'Hãy đợi lượt quét hiện tại hoàn tất trước.',
+  'timeline.unlink': 'Gỡ khỏi cây',
+  'timeline.noStatus': 'Không có đánh giá',
+  'timeline.noIssues': 'Chưa ghi nhận vấn đề sức khỏe nào.',
+  'timeline.issue': 'Vấn đề',
+  'timeline.trend': 'Xu hướng',
+  'timeline.trend.new': 'Mới',
+  'timeline.trend.worsening': 'Xấu đi',
+  'timeline.trend.improving': 'Cải thiện',
+  'timeline.trend.resolved': 'Đã hết',
+  'timeline.trend.stable': 'Không đổi',
+  'export.imageFailed': 'Không thể tải ảnh. Vui lòng thử lại.',
+  'share.link': 'Chia sẻ liên kết',
+  'share.again': 'Gửi lại liên kết',
+  'share.update': 'Cập nhật và gửi lại liên kết',
+  'share.outdated': 'Trang đã chia sẻ vẫn hiển thị loài đã chọn trước đó.',
+  'share.stop': 'Ngừng chia sẻ',
+  'share.expires': 'Liên kết có hiệu lực đến {date}.',
+  'share.title': 'Chẩn đoán cây: {name}',
+  'share.text': '{name}: chẩn đoán và hướng dẫn chăm sóc từ Plant Scanner',
+  'share.copied': 'Đã sao chép liên kết.',
+  'share.copyPrompt': 'Sao chép liên kết này:',
+  'share.confirmStop': 'Xóa trang đã chia sẻ? Liên kết sẽ không còn hoạt động với bất kỳ ai.',
+  'share.stopped': 'Đã xóa liên kết chia sẻ.',
+  'share.error.offline': 'Cần có kết nối mạng để chia sẻ liên kết.',
+  'share.error.unavailable': 'Máy chủ này không hỗ trợ liên kết chia sẻ. Hãy xuất PDF thay thế.',
+  'share.error.failed': 'Không thể chia sẻ liên kết: {message}',
+  'shared.loading': 'Đang tải báo cáo…',
+  'shared.notFound': 'Liên kết này đã hết hạn hoặc đã bị xóa.',
+  'shared.meta': 'Quét lúc {date} · liên kết có hiệu lực đến {expires}',
+  'shared.openApp': 'Quét cây của bạn',
+  'data.title': 'Nhật ký quét cây',
+  'data.date': 'Ngày quét: {date}',
+  'data.health': 'Sức khỏe',
+  'data.care': 'Chăm sóc',
+  'pdf.subtitle': 'Báo cáo phân tích - {date} {time}',
+  'pdf.images': 'ẢNH ĐÃ CHỤP',
+  'pdf.caption': 'Ảnh {n} · {organ}',
+  'pdf.identification': 'NHẬN DIỆN CÂY',
+  'pdf.commonName': 'Tên thông thường: {name}',
+  'pdf.scientificName': 'Tên khoa học: {name}',
+  'pdf.family': 'Họ: {family}',
+  'pdf.confidence': 'Độ tin cậy: {percent}%',
+  'pdf.source': 'Nguồn: {source}',
+  'pdf.conflict': 'Lưu ý: Pl@ntNet và Gemini cho kết quả khác nhau',
+  'pdf.candidates': 'CÁC LOÀI TƯƠNG TỰ',
+  'pdf.health': 'SỨC KHỎE CÂY',
+  'pdf.care': 'HƯỚNG DẪN CHĂM SÓC',
+  'pdf.watering': 'Tưới nước: {text}',
+  'pdf.light': 'Ánh sáng: {text}',
+  'pdf.soil': 'Đất: {text}',
+  'pdf.fertilizing': 'Phân bón: {text}',
+  'pdf.chat': 'HỎI ĐÁP',
+  'pdf.funFacts': 'THÔNG TIN THÚ VỊ',
+  'pdf.model': 'AI: {model}',
+  'pdf.page': 'Trang {page}/{total}',
+  'pdf.combinedSubtitle': 'Báo cáo tổng hợp · {count} lần quét · {date}',
+  'pdf.contents': 'MỤC LỤC',
+  'pdf.combinedFile': 'Báo cáo {count} cây',
+
+  // Gemini prompts
+  'prompt.role': 'Bạn là chuyên gia thực vật học.',
+  'prompt.analyze': 'Phân tích ảnh cây. Độ tin cậy (confidence, likelihood) là số từ 0 đến 1.',
+  'prompt.candidates': '"candidates" liệt kê tối đa 5 loài có thể (kể cả loài dễ nhầm lẫn), xếp theo độ tin cậy giảm dần.',
+  'prompt.organs': 'Bộ phận trong ảnh: {list}.',
+  'prompt.organ': 'Ảnh {n}: {organ}',
+  'prompt.careGuide': 'Viết hướng dẫn chăm sóc cho loài {species}.',
+  'prompt.schedule': '"care_guide.schedule" là khoảng cách thông thường cho cây trồng trong nhà: số ngày giữa hai lần tưới, số ngày giữa hai lần bón phân trong mùa sinh trưởng và số tháng giữa hai lần thay chậu.',
+  'prompt.language': 'Trả lời bằng tiếng Việt. Chỉ trả về JSON.',
+  'prompt.repair': 'Câu trả lời trước không khớp với lược đồ JSON yêu cầu: {errors}. Hãy trả lại JSON đã sửa.',
+
+  'prompt.chat': 'Bạn là chuyên gia thực vật học đang giúp người dùng chăm sóc cây trong ảnh. Kết quả nhận diện (JSON): {result}. Trả lời các câu hỏi tiếp theo ngắn gọn, thiết thực bằng tiếng Việt, và nói rõ khi ảnh không đủ để kết luận.',
+
+  // Follow-up chat
+  'chat.title': '💬 Hỏi thêm về cây này',
+  'chat.placeholder': 'Vd: Vì sao chóp lá bị nâu?',
+  'chat.send': 'Gửi',
+  'chat.hint': 'Hỏi bất cứ điều gì về cây vừa quét, ví dụ "Bây giờ thay chậu được không?"',
+  'chat.thinking': 'Đang trả lời...',
+  'chat.you': 'Bạn',
+  'chat.assistant': 'Gemini',
+  'chat.includeInPdf': 'Đưa cuộc trò chuyện vào PDF',
+
+  // Gemini errors
+  'ai.error.invalid_output': 'Gemini trả về kết quả không hợp lệ, kể cả sau khi thử lại.',
+  'ai.error.blocked': 'Gemini từ chối phân tích những ảnh này.',
+  'ai.error.quota': 'Đã hết hạn mức Gemini. Vui lòng thử lại sau.',
+  'ai.error.key': 'Gemini API Key bị từ chối. Kiểm tra lại trong Cài đặt.',
+  'ai.error.network': 'Không kết nối được tới Gemini.',
+  'ai.error.timeout': 'Gemini không trả lời kịp thời. Vui lòng thử lại.',
+  'ai.error.unknown': 'Phân tích Gemini thất bại: {message}'
+};
@@ -0,0 +1,451 @@
+/*
+ * Plant Scanner PWA - PDF reports
+ *
+ * Reports are drawn with jsPDF, loaded globally from the CDN in
+ * index.html. Its standard fonts only cover Latin-1, so Be Vietnam Pro is
+ * embedded for Vietnamese text, and section icons are drawn as vector
+ * shapes because no embeddable font carries the emoji used on screen.
+ * When the font cannot be fetched (offline before it was ever cached) the
+ * report falls back to Helvetica with diacritics stripped, which stays
+ * readable instead of garbled.
+ */
+
+import { t, localeTag } from './i18n.js';
+import { SOURCE_LABELS, isSameSpecies, issuesOf } from './result.js';
+
+// Static TTFs from npm, version-pinned so the service worker can cache
+// them for good like the other CDN libraries.
+const FONT_FAMILY = 'BeVietnamPro';
+const FONT_ROOT = 'https://cdn.jsdelivr.net/npm/@expo-google-fonts/be-vietnam-pro@0.4.1';
+const FONT_FILES = {
+  normal: '400Regular/BeVietnamPro_400Regular.ttf',
+  bold: '700Bold/BeVietnamPro_700Bold.ttf',
+  italic: '400Regular_Italic/BeVietnamPro_400Regular_Italic.ttf'
+};
+
+// A4 portrait, in mm
+const W = 210, H = 297;
+const M = 15; // margin
+const CW = W - M * 2; // content width
+const FOOTER = 10; // space kept free for the footer
+
+const GREEN = [34, 100, 50];
+const DARK = [40, 40, 40];
+const GREY = [90, 90, 90];
+const LIGHT = [120, 120, 120];
+
+let fontsPromise = null;
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Resolves to { style: base64 TTF }, or null when the font is unavailable.
+function loadFonts() {
+  if (!fontsPromise) {
+    fontsPromise = Promise.all(Object.entries(FONT_FILES).map(async ([style, file]) => {
+      const response = await fetch(`${FONT_ROOT}/${file}`);
+      if (!response.ok) throw new Error(`${file}: HTTP ${response.status}`);
+      return [style, toBase64(await response.arrayBuffer())];
+    }))
+      .then(Object.fromEntries)
+      .catch(err => {
+        console.warn('[PDF] Unicode font unavailable, using Helvetica:', err.message);
+        fontsPromise = null; // Try again on the next export
+        return null;
+      });
+  }
+  return fontsPromise;
+}
+
+// Emoji have no glyph in either font
+const stripEmoji = text => text.replace(/\p{Extended_Pictographic}\uFE0F?/gu, '').replace(/\s{2,}/g, ' ');
+
+// Helvetica fallback: Vietnamese letters without their diacritics
+const toLatin = text => text
+  .replace(/đ/g, 'd').replace(/Đ/g, 'D')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\xFF\n]/g, '');
+
+const organLabel = organ => t(`organ.${organ}`);
+
+// ========== DRAWING PRIMITIVES ==========
+// `ctx` is { doc, family, clean, y, models } and is passed to every helper;
+// `y` is the baseline of the next line of text.
+
+function setFont(ctx, size, style, color) {
+  ctx.doc.setFont(ctx.family, style);
+  ctx.doc.setFontSize(size);
+  ctx.doc.setTextColor(...color);
+}
+
+function ensureSpace(ctx, height) {
+  if (ctx.y + height > H - M - FOOTER) {
+    ctx.doc.addPage();
+    ctx.y = M + 5;
+  }
+}
+
+function addText(ctx, text, size, style, color, { x = M, width = CW } = {}) {
+  setFont(ctx, size, style, color);
+  const lines = ctx.doc.splitTextToSize(ctx.clean(text), width);
+  const lineHeight = size * 0.45;
+  // Long paragraphs continue on the next page line by line
+  lines.forEach(line => {
+    ensureSpace(ctx, lineHeight);
+    ctx.doc.text(line, x, ctx.y);
+    ctx.y += lineHeight;
+  });
+  ctx.y += 2;
+}
+
+function addHeading(ctx, text) {
+  ensureSpace(ctx, 16); // Never leave a heading alone at the bottom of a page
+  addText(ctx, text, 12, 'bold', GREEN);
+}
+
+function addRule(ctx) {
+  ctx.doc.setDrawColor(200);
+  ctx.doc.setLineWidth(0.2);
+  ctx.doc.line(M, ctx.y, W - M, ctx.y);
+  ctx.y += 5;
+}
+
+// Closed polygon through absolute `points` ([[x, y], ...]).
+function polygon(doc, points, style = 'F') {
+  const [[x0, y0], ...rest] = points;
+  let [px, py] = [x0, y0];
+  const deltas = rest.map(([x, y]) => {
+    const delta = [x - px, y - py];
+    [px, py] = [x, y];
+    return delta;
+  });
+  doc.lines(deltas, x0, y0, [1, 1], style, true);
+}
+
+/**
+ * Draw icon `name` in the `s` mm square whose top left corner is (x, y).
+ * Stand-ins for the emoji of the on-screen results.
+ */
+function drawIcon(doc, name, x, y, s) {
+  const cx = x + s / 2;
+  const cy = y + s / 2;
+  switch (name) {
+    case 'water':
+      doc.setFillColor(59, 130, 246);
+      doc.circle(cx, y + s * 0.64, s * 0.3, 'F');
+      doc.triangle(cx, y, cx - s * 0.28, y + s * 0.56, cx + s * 0.28, y + s * 0.56, 'F');
+      break;
+    case 'light':
+      doc.setFillColor(245, 158, 11);
+      doc.setDrawColor(245, 158, 11);
+      doc.setLineWidth(s * 0.08);
+      doc.circle(cx, cy, s * 0.22, 'F');
+      for (let i = 0; i < 8; i++) {
+        const a = (i * Math.PI) / 4;
+        doc.line(cx + Math.cos(a) * s * 0.32, cy + Math.sin(a) * s * 0.32, cx + Math.cos(a) * s * 0.48, cy + Math.sin(a) * s * 0.48);
+      }
+      break;
+    case 'soil':
+      doc.setFillColor(146, 98, 57);
+      doc.rect(x, y + s * 0.78, s, s * 0.22, 'F');
+      doc.setDrawColor(34, 140, 60);
+      doc.setLineWidth(s * 0.08);
+      doc.line(cx, y + s * 0.78, cx, y + s * 0.3);
+      doc.setFillColor(34, 140, 60);
+      doc.ellipse(cx - s * 0.2, y + s * 0.4, s * 0.2, s * 0.1, 'F');
+      doc.ellipse(cx + s * 0.2, y + s * 0.25, s * 0.2, s * 0.1, 'F');
+      break;
+    case 'fertilizer':
+      doc.setFillColor(139, 92, 246);
+      polygon(doc, [[cx - s * 0.12, y], [cx + s * 0.12, y], [cx + s * 0.12, y + s * 0.35],
+        [x + s * 0.9, y + s], [x + s * 0.1, y + s], [cx - s * 0.12, y + s * 0.35]]);
+      break;
+    case 'fact':
+      doc.setFillColor(234, 179, 8);
+      polygon(doc, [[cx, y], [cx + s * 0.14, cy - s * 0.14], [x + s, cy], [cx + s * 0.14, cy + s * 0.14],
+        [cx, y + s], [cx - s * 0.14, cy + s * 0.14], [x, cy], [cx - s * 0.14, cy - s * 0.14]]);
+      break;
+    case 'tip':
+      doc.setFillColor(250, 204, 21);
+      doc.circle(cx, y + s * 0.38, s * 0.32, 'F');
+      doc.setFillColor(120, 120, 120);
+      doc.rect(cx - s * 0.15, y + s * 0.72, s * 0.3, s * 0.24, 'F');
+      break;
+    case 'warning':
+      doc.setFillColor(217, 119, 6);
+      doc.triangle(cx, y, x + s, y + s * 0.9, x, y + s * 0.9, 'F');
+      doc.setFillColor(255, 255, 255);
+      doc.rect(cx - s * 0.05, y + s * 0.3, s * 0.1, s * 0.32, 'F');
+      doc.circle(cx, y + s * 0.74, s * 0.06, 'F');
+      break;
+  }
+}
+
+// Text with a leading icon, wrapped next to it.
+function addIconText(ctx, icon, text, size, style, color) {
+  ensureSpace(ctx, size * 0.45);
+  const s = size * 0.4;
+  drawIcon(ctx.doc, icon, M + 0.5, ctx.y - s * 0.85, s);
+  addText(ctx, text, size, style, color, { x: M + s + 3, width: CW - s - 3 });
+}
+
+// Horizontal bar filled to `fraction`, with its percentage on the right.
+function drawBar(ctx, x, y, width, fraction, color) {
+  const { doc } = ctx;
+  const value = Math.max(0, Math.min(1, Number(fraction) || 0));
+  doc.setFillColor(230, 230, 230);
+  doc.roundedRect(x, y, width, 2.6, 1.3, 1.3, 'F');
+  if (value > 0) {
+    doc.setFillColor(...color);
+    doc.roundedRect(x, y, Math.max(width * value, 2.6), 2.6, 1.3, 1.3, 'F');
+  }
+  setFont(ctx, 8, 'normal', GREY);
+  doc.text(`${Math.round(value * 100)}%`, x + width + 2, y + 2.3);
+}
+
+// Red for likely issues, amber for possible ones, green for unlikely ones.
+function likelihoodColor(value) {
+  if (value >= 0.6) return [220, 38, 38];
+  if (value >= 0.3) return [217, 119, 6];
+  return [34, 140, 60];
+}
+
+// ========== SECTIONS ==========
+function drawHeader(ctx, title, subtitle) {
+  const { doc } = ctx;
+  doc.setFillColor(...GREEN);
+  doc.rect(0, 0, W, 32, 'F');
+  setFont(ctx, 20, 'bold', [255, 255, 255]);
+  doc.text(ctx.clean(title), M, 15);
+  setFont(ctx, 10, 'normal', [200, 230, 200]);
+  doc.text(ctx.clean(subtitle), M, 23);
+  ctx.y = 42;
+}
+
+function drawImages(ctx, images) {
+  if (!images.length) return;
+  const { doc } = ctx;
+  addHeading(ctx, t('pdf.images'));
+  const cols = 3;
+  const imgW = (CW - 6) / cols; // 3 columns with 3mm gap
+  const imgH = imgW * 1.1;
+  let top = ctx.y - 2;
+  images.forEach(({ dataUri, organ }, i) => {
+    const col = i % cols;
+    // Wrap to a new row (and page if needed) after every third image
+    if (i > 0 && col === 0) top += imgH + 9;
+    if (top + imgH + 6 > H - M - FOOTER) {
+      doc.addPage();
+      top = M;
+    }
+    const x = M + col * (imgW + 3);
+    try {
+      doc.addImage(dataUri, 'JPEG', x, top, imgW, imgH);
+    } catch (e) {
+      console.warn('[PDF] Image insert failed:', e);
+      return;
+    }
+    // Caption from the organ the photo was tagged with
+    const caption = organ && organ !== 'auto'
+      ? t('pdf.caption', { n: i + 1, organ: organLabel(organ) })
+      : t('queue.image', { n: i + 1 });
+    setFont(ctx, 8, 'italic', LIGHT);
+    doc.text(ctx.clean(caption), x + imgW / 2, top + imgH + 4.5, { align: 'center' });
+  });
+  ctx.y = top + imgH + 12;
+  addRule(ctx);
+}
+
+function drawIdentification(ctx, result) {
+  const b = result.best_match;
+  if (!b) return;
+  addHeading(ctx, t('pdf.identification'));
+  if (b.common_name) addText(ctx, t('pdf.commonName', { name: b.common_name }), 11, 'normal', DARK);
+  if (b.scientific_name) addText(ctx, t('pdf.scientificName', { name: b.scientific_name }), 10, 'italic', GREY);
+  if (b.family) addText(ctx, t('pdf.family', { family: b.family }), 10, 'normal', GREY);
+  if (b.confidence) addText(ctx, t('pdf.confidence', { percent: Math.round(b.confidence * 100) }), 10, 'normal', GREY);
+  if (b.source) addText(ctx, t('pdf.source', { source: SOURCE_LABELS[b.source] || b.source }), 9, 'italic', LIGHT);
+  const check = result.species_check;
+  if (check?.plantnet && check?.gemini && check.status !== 'agree') {
+    addIconText(ctx, 'warning', t('pdf.conflict'), 9, 'bold', [180, 90, 30]);
+    addText(ctx, `Pl@ntNet: ${check.plantnet.scientific_name} · Gemini: ${check.gemini.scientific_name}`, 9, 'normal', LIGHT);
+  }
+  ctx.y += 2;
+  addRule(ctx);
+}
+
+// Ranked look-alikes; the one chosen as best match is highlighted.
+function drawCandidates(ctx, result) {
+  const candidates = result.candidates || [];
+  if (candidates.length < 2) return;
+  const { doc } = ctx;
+  addHeading(ctx, t('pdf.candidates'));
+  const barX = W - M - 38;
+  candidates.forEach((c, i) => {
+    ensureSpace(ctx, 11);
+    const top = ctx.y - 4;
+    if (isSameSpecies(c.scientific_name, result.best_match?.scientific_name)) {
+      doc.setFillColor(230, 244, 234);
+      doc.roundedRect(M, top, CW, 10, 1.5, 1.5, 'F');
+    }
+    setFont(ctx, 10, 'bold', GREEN);
+    doc.text(`${i + 1}.`, M + 2, ctx.y);
+    const name = c.common_name || c.scientific_name;
+    setFont(ctx, 10, 'bold', DARK);
+    doc.text(doc.splitTextToSize(ctx.clean(name), barX - M - 12)[0], M + 9, ctx.y);
+    const details = [c.common_name ? c.scientific_name : '', c.family, SOURCE_LABELS[c.source] || c.source]
+      .filter(Boolean).join(' · ');
+    setFont(ctx, 8, 'italic', GREY);
+    doc.text(doc.splitTextToSize(ctx.clean(details), barX - M - 12)[0], M + 9, ctx.y + 4);
+    if (c.confidence != null) drawBar(ctx, barX, ctx.y - 1, 28, c.confidence, GREEN);
+    ctx.y += 11;
+  });
+  ctx.y += 1;
+  addRule(ctx);
+}
+
+function drawHealth(ctx, result) {
+  const h = result.health_assessment;
+  if (!h) return;
+  addHeading(ctx, t('pdf.health'));
+  if (h.status) addText(ctx, h.status, 10, 'normal', DARK);
+  const issues = issuesOf(result);
+  issues.forEach(issue => {
+    ensureSpace(ctx, 12);
+    // The bar sits next to the first line of the issue name
+    if (issue.likelihood != null) {
+      drawBar(ctx, W - M - 40, ctx.y - 2.4, 30, issue.likelihood, likelihoodColor(issue.likelihood));
+    }
+    const source = issue.source ? ` [${SOURCE_LABELS[issue.source] || issue.source}]` : '';
+    addText(ctx, `${issue.name}${source}`, 10, 'bold', [60, 60, 60], { width: CW - 48 });
+    if (issue.safe_actions) addIconText(ctx, 'tip', issue.safe_actions, 9, 'normal', GREY);
+  });
+  ctx.y += 2;
+  addRule(ctx);
+}
+
+function drawCareGuide(ctx, result) {
+  const c = result.care_guide;
+  if (!c) return;
+  addHeading(ctx, t('pdf.care'));
+  if (c.watering) addIconText(ctx, 'water', t('pdf.watering', { text: c.watering }), 10, 'normal', DARK);
+  if (c.light) addIconText(ctx, 'light', t('pdf.light', { text: c.light }), 10, 'normal', DARK);
+  if (c.soil) addIconText(ctx, 'soil', t('pdf.soil', { text: c.soil }), 10, 'normal', DARK);
+  if (c.fertilizing) addIconText(ctx, 'fertilizer', t('pdf.fertilizing', { text: c.fertilizing }), 10, 'normal', DARK);
+  ctx.y += 2;
+  addRule(ctx);
+}
+
+function drawFunFacts(ctx, result) {
+  if (!result.fun_facts?.length) return;
+  addHeading(ctx, t('pdf.funFacts'));
+  result.fun_facts.forEach(fact => addIconText(ctx, 'fact', fact, 10, 'normal', [60, 60, 60]));
+}
+
+function drawChat(ctx, chat) {
+  if (!chat.length) return;
+  ctx.y += 2;
+  addRule(ctx);
+  addHeading(ctx, t('pdf.chat'));
+  chat.forEach(message => {
+    const isUser = message.role === 'user';
+    addText(ctx, t(isUser ? 'chat.you' : 'chat.assistant'), 9, 'bold', isUser ? GREEN : GREY);
+    addText(ctx, message.text, 10, 'normal', DARK);
+  });
+}
+
+function drawScan(ctx, { result, images = [], chat = [] }) {
+  drawImages(ctx, images);
+  drawIdentification(ctx, result);
+  drawCandidates(ctx, result);
+  drawHealth(ctx, result);
+  drawCareGuide(ctx, result);
+  drawFunFacts(ctx, result);
+  drawChat(ctx, chat);
+}
+
+const plantName = result => result?.best_match?.common_name || result?.best_match?.scientific_name || t('history.unknown');
+
+const formatDate = date => t('pdf.subtitle', {
+  date: date.toLocaleDateString(localeTag()),
+  time: date.toLocaleTimeString(localeTag())
+});
+
+function drawFooters(ctx) {
+  const { doc } = ctx;
+  const pagesCount = doc.internal.getNumberOfPages();
+  let model = null;
+  for (let p = 1; p <= pagesCount; p++) {
+    doc.setPage(p);
+    if (p in ctx.models) model = ctx.models[p];
+    setFont(ctx, 8, 'normal', [160, 160, 160]);
+    const footer = 'Plant Scanner — plant-scanner-one.vercel.app';
+    doc.text(model ? `${footer} · ${t('pdf.model', { model })}` : footer, M, H - 8);
+    doc.text(t('pdf.page', { page: p, total: pagesCount }), W - M, H - 8, { align: 'right' });
+  }
+}
+
+/**
+ * Build and download a PDF report. `scans` is a list of
+ * `{ result, images: [{ dataUri, organ }], date, chat }`; one scan gives a
+ * single-plant report, several a combined report with a contents list and
+ * one section per scan, each starting on a new page.
+ */
+export async function exportReport(scans) {
+  scans = scans.filter(scan => scan.result);
+  if (!scans.length) return;
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF('p', 'mm', 'a4');
+
+  const fonts = await loadFonts();
+  if (fonts) {
+    Object.entries(fonts).forEach(([style, data]) => {
+      const file = `${FONT_FAMILY}-${style}.ttf`;
+      doc.addFileToVFS(file, data);
+      doc.addFont(file, FONT_FAMILY, style);
+    });
+  }
+  const ctx = {
+    doc,
+    family: fonts ? FONT_FAMILY : 'helvetica',
+    clean: text => {
+      const value = stripEmoji(String(text ?? ''));
+      return fonts ? value : toLatin(value);
+    },
+    y: M,
+    model: null,
+    models: {} // First page of each scan -> its Gemini model, for the footers
+  };
+
+  if (scans.length === 1) {
+    const [scan] = scans;
+    ctx.model = scan.result.ai_model || null;
+    ctx.models[1] = ctx.model;
+    drawHeader(ctx, 'Plant Scanner', formatDate(scan.date || new Date()));
+    drawScan(ctx, scan);
+  } else {
+    drawHeader(ctx, 'Plant Scanner', t('pdf.combinedSubtitle', { count: scans.length, date: new Date().toLocaleDateString(localeTag()) }));
+    addHeading(ctx, t('pdf.contents'));
+    scans.forEach((scan, i) => {
+      const date = (scan.date || new Date()).toLocaleDateString(localeTag());
+      addText(ctx, `${i + 1}. ${plantName(scan.result)} — ${date}`, 10, 'normal', DARK);
+    });
+    scans.forEach((scan, i) => {
+      doc.addPage();
+      ctx.model = scan.result.ai_model || null;
+      ctx.models[doc.internal.getNumberOfPages()] = ctx.model;
+      drawHeader(ctx, `${i + 1}. ${plantName(scan.result)}`, formatDate(scan.date || new Date()));
+      drawScan(ctx, scan);
+    });
+  }
+  drawFooters(ctx);
+
+  const name = scans.length === 1 ? plantName(scans[0].result) : t('pdf.combinedFile', { count: scans.length });
+  doc.save(`${name.replace(/[^a-zA-Z0-9À-ỹ\s]/g, '')}_report.pdf`);
+}
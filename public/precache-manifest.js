@@ -0,0 +1,122 @@
+// Generated by scripts/build-precache.js. Do not edit by hand.
+self.PRECACHE_MANIFEST = {
+  "version": "eb556057cc",
+  "assets": [
+    {
+      "url": "/",
+      "revision": "f1e8a0fbc6"
+    },
+    {
+      "url": "/192.png",
+      "revision": "c609a30460"
+    },
+    {
+      "url": "/512.png",
+      "revision": "a4d83e3a22"
+    },
+    {
+      "url": "/64.png",
+      "revision": "6b206fe05d"
+    },
+    {
+      "url": "/Frame%2010134.png",
+      "revision": "09dd799ee0"
+    },
+    {
+      "url": "/analysis-prompt.mjs",
+      "revision": "fa7cc81188"
+    },
+    {
+      "url": "/analysis-schema.mjs",
+      "revision": "a5c2649769"
+    },
+    {
+      "url": "/analysis-stream.js",
+      "revision": "7a22e78a0f"
+    },
+    {
+      "url": "/backup.js",
+      "revision": "05c012cf02"
+    },
+    {
+      "url": "/camera.js",
+      "revision": "b0f9dd7fe0"
+    },
+    {
+      "url": "/care.js",
+      "revision": "a7d8bc43ec"
+    },
+    {
+      "url": "/db.js",
+      "revision": "f6dfd587c4"
+    },
+    {
+      "url": "/export-data.js",
+      "revision": "98c1ff8026"
+    },
+    {
+      "url": "/i18n.js",
+      "revision": "54d119430c"
+    },
+    {
+      "url": "/icon.png",
+      "revision": "65c52b55f1"
+    },
+    {
+      "url": "/image-quality.js",
+      "revision": "ed1a4893e2"
+    },
+    {
+      "url": "/index.html",
+      "revision": "f1e8a0fbc6"
+    },
+    {
+      "url": "/locales/en.js",
+      "revision": "befe3512d6"
+    },
+    {
+      "url": "/locales/vi.js",
+      "revision": "a839a6a708"
+    },
+    {
+      "url": "/manifest.json",
+      "revision": "0b0f839dc2"
+    },
+    {
+      "url": "/pdf-report.js",
+      "revision": "cc02b4bf61"
+    },
+    {
+      "url": "/request.js",
+      "revision": "711d026d59"
+    },
+    {
+      "url": "/result.js",
+      "revision": "b0e30dda9c"
+    },
+    {
+      "url": "/script.js",
+      "revision": "10a5012605"
+    },
+    {
+      "url": "/share-link.js",
+      "revision": "644e543c22"
+    },
+    {
+      "url": "/share-page.js",
+      "revision": "f6953ed649"
+    },
+    {
+      "url": "/share.html",
+      "revision": "09a75699e1"
+    },
+    {
+      "url": "/style.css",
+      "revision": "999a485170"
+    },
+    {
+      "url": "/timeline.js",
+      "revision": "918d5ff680"
+    }
+  ]
+};
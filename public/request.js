@@ -0,0 +1,121 @@
+/*
+ * Plant Scanner PWA - Request helpers
+ *
+ * Cancellation, time limits and retries for the analysis stages. Uploads
+ * go through XMLHttpRequest because fetch() cannot report upload progress;
+ * failures are reported like fetch() does (TypeError when the network is
+ * unreachable) so callers can still tell "offline" apart.
+ */
+
+// Answers worth another try: a proxy or cold-starting backend in the way.
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+export function timeoutError(ms) {
+  const err = new Error(`No answer within ${Math.round(ms / 1000)} s`);
+  err.name = 'TimeoutError';
+  err.code = 'timeout';
+  return err;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Derive a signal that aborts with a TimeoutError after `ms`, or with the
+ * parent's reason when `signal` aborts first. Call `done()` once the stage
+ * is over.
+ */
+export function stageSignal(signal, ms) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(timeoutError(ms)), ms);
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  return {
+    signal: controller.signal,
+    done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * POST a FormData body and decode the JSON answer.
+ * Resolves to `{ status, ok, data }` (`data` is null when the body is not
+ * JSON). Rejects with a TypeError on network failure, a TimeoutError after
+ * `timeoutMs` and the signal's reason when `signal` aborts.
+ * `onUploadProgress(fraction)` follows the upload from 0 to 1.
+ */
+export function postForm(url, form, { signal, timeoutMs = 0, onUploadProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    const settle = (callback, value) => {
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+
+    xhr.open('POST', url);
+    xhr.timeout = timeoutMs;
+    if (onUploadProgress) {
+      xhr.upload.onprogress = e => {
+        if (e.lengthComputable) onUploadProgress(e.loaded / e.total);
+      };
+      xhr.upload.onload = () => onUploadProgress(1);
+    }
+    xhr.onload = () => {
+      let data = null;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (e) {
+        // Not JSON, e.g. an HTML error page from a proxy
+      }
+      settle(resolve, { status: xhr.status, ok: xhr.status >= 200 && xhr.status < 300, data });
+    };
+    xhr.onerror = () => settle(reject, new TypeError('Network request failed'));
+    xhr.ontimeout = () => settle(reject, timeoutError(timeoutMs));
+    xhr.onabort = () => settle(reject, signal?.reason || new DOMException('Aborted', 'AbortError'));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    xhr.send(form);
+  });
+}
+
+/**
+ * Run `task()` again after transient failures: network errors and
+ * answers with a status from RETRY_STATUSES. Waits `baseDelayMs`, then
+ * twice as long, and so on. Timeouts are not retried since each stage
+ * already waits long. The last answer or error is passed through.
+ */
+export async function withRetry(task, { retries = 2, baseDelayMs = 1000, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const answer = await task();
+      if (attempt >= retries || !RETRY_STATUSES.includes(answer?.status)) return answer;
+      console.warn(`[RETRY] Answered ${answer.status}, retrying`);
+    } catch (err) {
+      if (signal?.aborted || attempt >= retries || !(err instanceof TypeError)) throw err;
+      console.warn(`[RETRY] ${err.message}, retrying`);
+    }
+    await sleep(baseDelayMs * 2 ** attempt, signal);
+  }
+}
@@ -0,0 +1,294 @@
+/*
+ * Plant Scanner PWA - Result normalization & merging
+ *
+ * Pl@ntNet and Gemini answer in different shapes. Both are converted to a
+ * single normalized schema and then merged so neither source is lost:
+ *
+ * {
+ *   best_match: { scientific_name, common_name, family, confidence, source },
+ *   candidates: [{
+ *     scientific_name, common_name, genus, family, confidence,
+ *     scores: { plantnet, gemini }, images: [url], source
+ *   }],
+ *   species_check: {
+ *     status: 'agree' | 'partial' | 'conflict' | 'single',
+ *     plantnet: { scientific_name, common_name, confidence } | null,
+ *     gemini: { scientific_name, common_name, confidence } | null
+ *   },
+ *   health_assessment: {
+ *     status, source,
+ *     possible_issues: [{ name, likelihood, safe_actions, source }]
+ *   },
+ *   care_guide: {
+ *     watering, light, soil, fertilizing, species, source,
+ *     schedule: { watering_days, fertilizing_days, repotting_months }
+ *   },
+ *   fun_facts: [string],
+ *   sources: ['plantnet', 'gemini'],
+ *   ai_model: string,             // Gemini model that produced the analysis
+ *   ai_error: { code, message },  // only when the Gemini analysis failed
+ *   care_error: { code, message } // only when no care guide could be written
+ *                                 // for a picked candidate (see script.js)
+ * }
+ *
+ * `source` is 'plantnet', 'gemini' or 'plantnet+gemini' when both agree.
+ * `care_guide.species` records which species the guide was written for so
+ * it can be regenerated when the user picks another candidate.
+ */
+
+// Number of ranked candidates kept per scan.
+export const CANDIDATE_LIMIT = 5;
+
+export const SOURCE_LABELS = {
+  plantnet: 'Pl@ntNet',
+  gemini: 'Gemini',
+  'plantnet+gemini': 'Pl@ntNet + Gemini'
+};
+
+// ========== NORMALIZE: PL@NTNET ==========
+export function normalizePlantnet(data) {
+  const output = { sources: ['plantnet'] };
+  const top = data?.identify?.results?.[0];
+  if (top) {
+    output.best_match = {
+      scientific_name: top.species?.scientificNameWithoutAuthor || '',
+      common_name: top.species?.commonNames?.[0] || '',
+      family: top.species?.family?.scientificNameWithoutAuthor || '',
+      confidence: top.score,
+      source: 'plantnet'
+    };
+  }
+  const results = data?.identify?.results || [];
+  if (results.length > 0) {
+    output.candidates = results.slice(0, CANDIDATE_LIMIT).map(r => ({
+      scientific_name: r.species?.scientificNameWithoutAuthor || '',
+      common_name: r.species?.commonNames?.[0] || '',
+      genus: r.species?.genus?.scientificNameWithoutAuthor || '',
+      family: r.species?.family?.scientificNameWithoutAuthor || '',
+      confidence: r.score,
+      scores: { plantnet: r.score },
+      images: (r.images || []).map(img => img.url?.s || img.url?.m).filter(Boolean).slice(0, 3),
+      source: 'plantnet'
+    }));
+  }
+  if (data?.diseases?.results?.length > 0) {
+    output.health_assessment = {
+      status: '',
+      source: 'plantnet',
+      possible_issues: data.diseases.results.map(r => ({
+        name: r.label || r.name || '',
+        likelihood: r.score,
+        safe_actions: '',
+        source: 'plantnet'
+      }))
+    };
+  }
+  return output;
+}
+
+// ========== NORMALIZE: GEMINI ==========
+export function normalizeGemini(json) {
+  const output = { sources: ['gemini'] };
+  if (!json || typeof json !== 'object') return output;
+  if (json.best_match) {
+    output.best_match = { ...json.best_match, source: 'gemini' };
+  }
+  if (Array.isArray(json.candidates) && json.candidates.length > 0) {
+    output.candidates = json.candidates.slice(0, CANDIDATE_LIMIT).map(c => ({
+      scientific_name: c.scientific_name || '',
+      common_name: c.common_name || '',
+      genus: c.genus || String(c.scientific_name || '').split(' ')[0],
+      family: c.family || '',
+      confidence: c.confidence,
+      scores: { gemini: c.confidence },
+      images: [],
+      source: 'gemini'
+    }));
+  }
+  if (json.health_assessment) {
+    output.health_assessment = {
+      status: json.health_assessment.status || '',
+      source: 'gemini',
+      possible_issues: (json.health_assessment.possible_issues || []).map(i => ({ ...i, source: 'gemini' }))
+    };
+  }
+  if (json.care_guide) {
+    output.care_guide = { ...json.care_guide, species: json.best_match?.scientific_name || '', source: 'gemini' };
+  }
+  if (Array.isArray(json.fun_facts)) {
+    output.fun_facts = json.fun_facts;
+  }
+  return output;
+}
+
+// Health issues of a result. Scans saved before results were normalized
+// used `issues`.
+export function issuesOf(result) {
+  return result?.health_assessment?.possible_issues || result?.health_assessment?.issues || [];
+}
+
+// ========== SPECIES COMPARISON ==========
+// Reduce a scientific name to "genus species", dropping authorship and case.
+function speciesKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z\s-]/g, ' ').trim().split(/\s+/).slice(0, 2);
+}
+
+export function compareSpecies(a, b) {
+  if (!a?.scientific_name || !b?.scientific_name) return 'single';
+  const [genusA, speciesA] = speciesKey(a.scientific_name);
+  const [genusB, speciesB] = speciesKey(b.scientific_name);
+  if (genusA !== genusB) return 'conflict';
+  return speciesA && speciesA === speciesB ? 'agree' : 'partial';
+}
+
+function speciesSummary(match) {
+  if (!match) return null;
+  return {
+    scientific_name: match.scientific_name || '',
+    common_name: match.common_name || '',
+    confidence: match.confidence
+  };
+}
+
+function candidateKey(name) {
+  return speciesKey(name).join(' ');
+}
+
+/**
+ * Combine the candidate lists of both sources, joining entries that name
+ * the same species, ranked by their best score with the best match first.
+ */
+function mergeCandidates(lists, bestMatch) {
+  const byKey = new Map();
+  lists.flat().forEach(candidate => {
+    const key = candidateKey(candidate.scientific_name);
+    if (!key) return;
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...candidate, scores: { ...candidate.scores }, images: [...candidate.images] });
+      return;
+    }
+    existing.common_name = existing.common_name || candidate.common_name;
+    existing.genus = existing.genus || candidate.genus;
+    existing.family = existing.family || candidate.family;
+    existing.scores = { ...existing.scores, ...candidate.scores };
+    existing.images = existing.images.length ? existing.images : candidate.images;
+    existing.confidence = Math.max(existing.confidence || 0, candidate.confidence || 0);
+    if (existing.source !== candidate.source) existing.source = 'plantnet+gemini';
+  });
+  const bestKey = candidateKey(bestMatch?.scientific_name);
+  return [...byKey.values()]
+    .sort((a, b) => {
+      if (candidateKey(a.scientific_name) === bestKey) return -1;
+      if (candidateKey(b.scientific_name) === bestKey) return 1;
+      return (b.confidence || 0) - (a.confidence || 0);
+    })
+    .slice(0, CANDIDATE_LIMIT);
+}
+
+function issueKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// ========== MERGE ==========
+/**
+ * Merge a normalized Pl@ntNet result with a normalized Gemini result.
+ * Either argument may be null.
+ */
+export function mergeResults(plantnet, gemini) {
+  if (!plantnet && !gemini) return null;
+  if (!plantnet || !gemini) {
+    const only = plantnet || gemini;
+    return {
+      ...only,
+      species_check: {
+        status: 'single',
+        plantnet: plantnet ? speciesSummary(plantnet.best_match) : null,
+        gemini: gemini ? speciesSummary(gemini.best_match) : null
+      }
+    };
+  }
+
+  const p = plantnet.best_match;
+  const g = gemini.best_match;
+  const status = compareSpecies(p, g);
+  const merged = {
+    sources: ['plantnet', 'gemini'],
+    species_check: { status, plantnet: speciesSummary(p), gemini: speciesSummary(g) }
+  };
+
+  // Best match: when both name the same species keep Pl@ntNet's calibrated
+  // score and scientific name together with Gemini's localized common name
+  // and family. Otherwise trust whichever source is more confident.
+  if (p && g && status === 'agree') {
+    merged.best_match = {
+      scientific_name: p.scientific_name,
+      common_name: g.common_name || p.common_name,
+      family: g.family || p.family,
+      confidence: p.confidence,
+      source: 'plantnet+gemini'
+    };
+  } else if (p || g) {
+    merged.best_match = (!g || (p && (p.confidence || 0) > (g.confidence || 0))) ? { ...p } : { ...g };
+  }
+
+  // Health: union of both issue lists, de-duplicated by name.
+  const ph = plantnet.health_assessment;
+  const gh = gemini.health_assessment;
+  if (ph || gh) {
+    const issues = new Map();
+    [...(gh?.possible_issues || []), ...(ph?.possible_issues || [])].forEach(issue => {
+      const key = issueKey(issue.name);
+      const existing = issues.get(key);
+      if (!existing) {
+        issues.set(key, { ...issue });
+        return;
+      }
+      existing.likelihood = Math.max(existing.likelihood || 0, issue.likelihood || 0);
+      existing.safe_actions = existing.safe_actions || issue.safe_actions;
+      if (existing.source !== issue.source) existing.source = 'plantnet+gemini';
+    });
+    merged.health_assessment = {
+      status: gh?.status || ph?.status || '',
+      source: gh?.status ? 'gemini' : (ph ? 'plantnet' : 'gemini'),
+      possible_issues: [...issues.values()].sort((a, b) => (b.likelihood || 0) - (a.likelihood || 0))
+    };
+  }
+
+  const candidates = mergeCandidates([plantnet.candidates || [], gemini.candidates || []], merged.best_match);
+  if (candidates.length) merged.candidates = candidates;
+
+  if (gemini.care_guide) merged.care_guide = gemini.care_guide;
+  if (gemini.fun_facts) merged.fun_facts = gemini.fun_facts;
+  return merged;
+}
+
+// ========== CANDIDATE SELECTION ==========
+/**
+ * Return a copy of `result` whose best match is the candidate at `index`.
+ * The care guide and fun facts were written for the previous species, so
+ * `needsCareGuide` tells the caller to regenerate them.
+ */
+export function selectCandidate(result, index) {
+  const candidate = result?.candidates?.[index];
+  if (!candidate) return { result, needsCareGuide: false };
+  const best_match = {
+    scientific_name: candidate.scientific_name,
+    common_name: candidate.common_name,
+    family: candidate.family,
+    confidence: candidate.confidence,
+    source: candidate.source,
+    selected_by_user: true
+  };
+  const needsCareGuide = candidateKey(result.care_guide?.species) !== candidateKey(candidate.scientific_name);
+  const next = { ...result, best_match };
+  if (needsCareGuide) {
+    delete next.care_guide;
+    delete next.fun_facts;
+  }
+  return { result: next, needsCareGuide };
+}
+
+export function isSameSpecies(a, b) {
+  return candidateKey(a) !== '' && candidateKey(a) === candidateKey(b);
+}
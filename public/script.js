@@ -1,15 +1,33 @@
 /*
  * Plant Scanner PWA - Front-end Logic
- * Flow: Show instruction -> User clicks SCAN -> Camera -> Confirm -> Repeat x3 -> API
+ * Flow: Show instruction -> User clicks SCAN -> Camera -> Tag organ & confirm
+ *       -> Repeat (1 to 5 photos, steps may be skipped) -> Review queue -> API
  */
 
 // import { GoogleGenAI } from "@google/generative-ai"; // Switched to dynamic import to prevent init crash
+import { t, getLocale, localeTag, resolveLocale, setLocale, LOCALES } from './i18n.js';
+import { normalizePlantnet, normalizeGemini, mergeResults, selectCandidate, isSameSpecies, issuesOf, SOURCE_LABELS, CANDIDATE_LIMIT } from './result.js';
+import { ANALYSIS_SCHEMA, CARE_GUIDE_SCHEMA, validate } from './analysis-schema.mjs';
+import { analysisPrompt } from './analysis-prompt.mjs';
+import { readEventStream, parsePartialJson } from './analysis-stream.js';
+import { postForm, withRetry, stageSignal } from './request.js';
+import { exportReport } from './pdf-report.js';
+import { exportData } from './export-data.js';
+import { openDB } from './db.js';
+import { downloadBackup, parseBackup, restoreBackup } from './backup.js';
+import { CARE_TASKS, suggestIntervals, dueTasks, getPlants, getPlant, savePlant, markTaskDone, deletePlant, getPlantScans, linkScan } from './care.js';
+import { buildTimeline } from './timeline.js';
+import { prepareImage } from './image-quality.js';
+import { createShare, deleteShare, isShareActive, offerLink } from './share-link.js';
+import { cameraSupported, cameraErrorCode, startCamera, stopCamera, setTorch, focusAt, framePoint, capturePhoto } from './camera.js';
 
 // (function () { // Removed IIFE because module scope is already isolated
 // DOM Elements
 const scanButton = document.getElementById('scanButton');
 const instructionsDiv = document.getElementById('instructions');
 const fileInput = document.getElementById('fileInput');
+const galleryInput = document.getElementById('galleryInput');
+const importButton = document.getElementById('importButton');
 const resultsDiv = document.getElementById('results');
 const keyModal = document.getElementById('keyModal');
 const settingsModal = document.getElementById('settingsModal');
@@ -18,120 +36,317 @@ const installButton = document.getElementById('installButton');
 const exportActions = document.getElementById('exportActions');
 const exportPdfButton = document.getElementById('exportPdfButton');
 const exportImageButton = document.getElementById('exportImageButton');
+const exportDataButton = document.getElementById('exportDataButton');
+const exportDataMenu = document.getElementById('exportDataMenu');
+const shareLinkButton = document.getElementById('shareLinkButton');
+const shareMenu = document.getElementById('shareMenu');
+const shareExpiry = document.getElementById('shareExpiry');
 const apiKeyInput = document.getElementById('apiKeyInput');
 const saveKeyButton = document.getElementById('saveKeyButton');
 const changeKeyButton = document.getElementById('changeKeyButton');
 const deleteKeyButton = document.getElementById('deleteKeyButton');
+const backupIncludeKeyInput = document.getElementById('backupIncludeKeyInput');
+const restoreModeSelect = document.getElementById('restoreModeSelect');
+const backupButton = document.getElementById('backupButton');
+const restoreButton = document.getElementById('restoreButton');
+const restoreFileInput = document.getElementById('restoreFileInput');
 const closeSettingsButton = document.getElementById('closeSettingsButton');
 const keyStatus = document.getElementById('keyStatus');
+const localeSelect = document.getElementById('localeSelect');
+const geminiModelsInput = document.getElementById('geminiModelsInput');
+const geminiTemperatureInput = document.getElementById('geminiTemperatureInput');
+const geminiMaxTokensInput = document.getElementById('geminiMaxTokensInput');
+const plantnetProjectSelect = document.getElementById('plantnetProjectSelect');
+const plantnetNoRejectInput = document.getElementById('plantnetNoRejectInput');
 // Review UI
 const reviewContainer = document.getElementById('reviewContainer');
 const reviewImage = document.getElementById('reviewImage');
 const retakeButton = document.getElementById('retakeButton');
+const reviewWarnings = document.getElementById('reviewWarnings');
 const confirmButton = document.getElementById('confirmButton');
+const organPicker = document.getElementById('organPicker');
+// Live camera UI
+const cameraView = document.getElementById('cameraView');
+const cameraVideo = document.getElementById('cameraVideo');
+const cameraGuide = document.getElementById('cameraGuide');
+const cameraFocusRing = document.getElementById('cameraFocusRing');
+const cameraHint = document.getElementById('cameraHint');
+const cameraStatus = document.getElementById('cameraStatus');
+const closeCameraButton = document.getElementById('closeCameraButton');
+const torchButton = document.getElementById('torchButton');
+const shutterButton = document.getElementById('shutterButton');
+const systemCameraButton = document.getElementById('systemCameraButton');
+// Capture queue UI
+const captureQueue = document.getElementById('captureQueue');
+const queueList = document.getElementById('queueList');
+const skipStepButton = document.getElementById('skipStepButton');
+const analyzeButton = document.getElementById('analyzeButton');
 const loadingOverlay = document.getElementById('loadingOverlay');
+const loadingText = document.getElementById('loadingText');
+const cancelAnalysisButton = document.getElementById('cancelAnalysisButton');
+// Offline queue UI
+const pendingPanel = document.getElementById('pendingPanel');
+const pendingList = document.getElementById('pendingList');
+const toast = document.getElementById('toast');
+// Care schedule UI
+const carePanel = document.getElementById('carePanel');
+const careTaskList = document.getElementById('careTaskList');
+const carePlanButton = document.getElementById('carePlanButton');
+const careModal = document.getElementById('careModal');
+const careNameInput = document.getElementById('careNameInput');
+const careIntervalInputs = {
+  watering: document.getElementById('careWateringInput'),
+  fertilizing: document.getElementById('careFertilizingInput'),
+  repotting: document.getElementById('careRepottingInput')
+};
+const careHint = document.getElementById('careHint');
+const saveCareButton = document.getElementById('saveCareButton');
+const deletePlantButton = document.getElementById('deletePlantButton');
+const closeCareButton = document.getElementById('closeCareButton');
+const careTimelineButton = document.getElementById('careTimelineButton');
+// Health timeline UI
+const timelineButton = document.getElementById('timelineButton');
+const linkPlantModal = document.getElementById('linkPlantModal');
+const plantPickList = document.getElementById('plantPickList');
+const newPlantButton = document.getElementById('newPlantButton');
+const closeLinkPlantButton = document.getElementById('closeLinkPlantButton');
+const timelineModal = document.getElementById('timelineModal');
+const timelineTitle = document.getElementById('timelineTitle');
+const timelineContent = document.getElementById('timelineContent');
+const rescanPlantButton = document.getElementById('rescanPlantButton');
+const closeTimelineButton = document.getElementById('closeTimelineButton');
+const updateBanner = document.getElementById('updateBanner');
+const updateReloadButton = document.getElementById('updateReloadButton');
+// History UI
+const historyButton = document.getElementById('historyButton');
+const historyModal = document.getElementById('historyModal');
+const historySearch = document.getElementById('historySearch');
+const historyList = document.getElementById('historyList');
+const closeHistoryButton = document.getElementById('closeHistoryButton');
+const exportSelectedButton = document.getElementById('exportSelectedButton');
+const historyFormatSelect = document.getElementById('historyFormatSelect');
+// Follow-up chat UI
+const chatPanel = document.getElementById('chatPanel');
+const chatLog = document.getElementById('chatLog');
+const chatForm = document.getElementById('chatForm');
+const chatInput = document.getElementById('chatInput');
+const chatSendButton = document.getElementById('chatSendButton');
+const chatExportOption = document.getElementById('chatExportOption');
+const chatExportToggle = document.getElementById('chatExportToggle');
 
 // Session Key (now used for IDB ID)
 const SESSION_ID = 'current_session';
 
 // ========== STATE ==========
-let imageCounter = 0; // 0, 1, 2
-let capturedImages = [];
+let stepIndex = 0; // Guided step being shown; runs past STEPS for optional extra photos
+let phase = 'capture'; // 'capture' | 'processing' | 'done'
+let capturedImages = []; // [{ dataUri, organ, warnings }]
 let currentDraft = null; // Temporary storage for the image being reviewed
+let draftOrgan = 'auto'; // Organ tag chosen for currentDraft
+let draftWarnings = []; // Quality warnings of currentDraft (see image-quality.js)
 let isProcessingFile = false;
+let camera = null; // Live camera while the viewfinder is open (see camera.js)
+let cameraOpening = 0; // Bumped on every open/close, so a late getUserMedia answer is dropped
+let useSystemCamera = false; // The live camera failed once; go straight to the file input
 let lastResult = null; // Store last analysis result for export
-
-// Instructions for each step
-const INSTRUCTIONS = [
-  'Bước 1/3: Chụp ảnh <strong>toàn cảnh cây</strong>',
-  'Bước 2/3: Chụp ảnh <strong>lá khỏe mạnh</strong>',
-  'Bước 3/3: Chụp ảnh <strong>vùng bị bệnh hoặc lá khác</strong>'
+let lastImages = []; // [{ dataUri, organ }] belonging to lastResult (live capture or history thumbnails)
+let lastEntryId = null; // History id of lastResult, so later edits (candidate choice) are persisted
+let lastChat = []; // Follow-up chat about lastResult: [{ role: 'user' | 'model', text, model, timestamp }]
+let doneNote = { key: 'scan.done', params: {} }; // Instruction shown in the done state, re-rendered on locale change
+
+// Pl@ntNet accepts at most 5 images per identification
+const MIN_IMAGES = 1;
+const MAX_IMAGES = 5;
+
+// Organ tags understood by Pl@ntNet; labels come from the `organ.*` messages
+const ORGANS = ['auto', 'leaf', 'flower', 'fruit', 'bark', 'habit'];
+const organLabel = organ => t(`organ.${organ}`);
+
+// Guided steps (message key) with the organ suggested for each, the
+// compression profile of their photos and the viewfinder's framing guide
+// (`camera.guide.*`). All of them can be skipped.
+const STEPS = [
+  { text: 'step.habit', organ: 'habit', profile: 'standard', guide: 'plant' },
+  { text: 'step.leaf', organ: 'leaf', profile: 'standard', guide: 'leaf' },
+  { text: 'step.issue', organ: 'auto', profile: 'detail', guide: 'closeup' } // Lesions need the detail
 ];
 
-// ========== SHOW CURRENT STEP ==========
+const qualityMessages = warnings => warnings.map(warning => t(`quality.${warning}`));
+
 // ========== SHOW CURRENT STEP ==========
 function showCurrentStep() {
-  console.log('[UI] Showing step, counter =', imageCounter);
+  console.log('[UI] Showing step', stepIndex, 'with', capturedImages.length, 'images');
 
   // Reset UI states
   reviewContainer.classList.add('hidden');
-  // resultsDiv.classList.add('hidden'); // Keep results if we are just restarting? No, hide it
   loadingOverlay.classList.add('hidden');
 
-  if (imageCounter >= 3) return;
+  if (phase !== 'capture') return;
 
   // Show instruction for current step
-  instructionsDiv.innerHTML = `<p>${INSTRUCTIONS[imageCounter]}</p>`;
-  scanButton.textContent = 'SCAN';
-  scanButton.style.display = '';
+  const remaining = MAX_IMAGES - capturedImages.length;
+  let text;
+  if (remaining <= 0) {
+    text = t('step.full', { max: MAX_IMAGES });
+  } else if (stepIndex < STEPS.length) {
+    text = t('step.progress', { step: stepIndex + 1, total: STEPS.length, text: t(STEPS[stepIndex].text) });
+  } else {
+    text = t('step.extra', { remaining });
+  }
+  instructionsDiv.innerHTML = `<p>${text}</p>`;
+  scanButton.textContent = t('scan.button');
+  scanButton.style.display = remaining > 0 ? '' : 'none';
   scanButton.disabled = false;
+  renderQueue();
+}
+
+// ========== CAPTURE QUEUE ==========
+function organOptions(selected) {
+  return ORGANS
+    .map(value => `<option value="${value}"${value === selected ? ' selected' : ''}>${organLabel(value)}</option>`)
+    .join('');
 }
 
+function renderQueue() {
+  captureQueue.classList.toggle('hidden', phase !== 'capture');
+  skipStepButton.classList.toggle('hidden', stepIndex >= STEPS.length || capturedImages.length >= MAX_IMAGES);
+  importButton.disabled = capturedImages.length >= MAX_IMAGES;
+  analyzeButton.disabled = capturedImages.length < MIN_IMAGES;
+  analyzeButton.textContent = t('queue.analyzeCount', { count: capturedImages.length, max: MAX_IMAGES });
+
+  queueList.innerHTML = capturedImages.map((image, idx) => `
+    <div class="queue-item" data-index="${idx}">
+      <img src="${escapeHtml(image.dataUri)}" alt="${t('queue.image', { n: idx + 1 })}">
+      ${image.warnings?.length ? `<span class="queue-warning" title="${escapeHtml(qualityMessages(image.warnings).join('\n'))}">⚠️</span>` : ''}
+      <select data-action="organ" aria-label="${t('queue.organ')}">${organOptions(image.organ)}</select>
+      <div class="queue-controls">
+        <button data-action="left" title="${t('queue.moveLeft')}"${idx === 0 ? ' disabled' : ''}>◀</button>
+        <button data-action="remove" title="${t('queue.remove')}">✕</button>
+        <button data-action="right" title="${t('queue.moveRight')}"${idx === capturedImages.length - 1 ? ' disabled' : ''}>▶</button>
+      </div>
+    </div>`).join('');
+}
+
+queueList.addEventListener('change', async (e) => {
+  if (e.target.dataset.action !== 'organ') return;
+  const idx = Number(e.target.closest('.queue-item').dataset.index);
+  capturedImages[idx].organ = e.target.value;
+  await saveSession();
+});
+
+queueList.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const idx = Number(button.closest('.queue-item').dataset.index);
+
+  switch (button.dataset.action) {
+    case 'left':
+    case 'right': {
+      const target = button.dataset.action === 'left' ? idx - 1 : idx + 1;
+      if (target < 0 || target >= capturedImages.length) return;
+      [capturedImages[idx], capturedImages[target]] = [capturedImages[target], capturedImages[idx]];
+      break;
+    }
+    case 'remove':
+      capturedImages.splice(idx, 1);
+      break;
+  }
+  await saveSession();
+  showCurrentStep();
+});
+
+skipStepButton.addEventListener('click', async () => {
+  console.log('[STEP] Skipped step', stepIndex);
+  stepIndex++;
+  await saveSession();
+  showCurrentStep();
+});
+
+analyzeButton.addEventListener('click', () => {
+  if (capturedImages.length < MIN_IMAGES) return;
+  processImages();
+});
+
 // ========== SHOW REVIEW ==========
-function showReview(dataUri) {
+function showReview(dataUri, warnings = []) {
   console.log('[UI] Showing review');
   // Hide Scan UI
   instructionsDiv.innerHTML = ''; // Keep layout but empty content or hide? Better to just hide scan button
   scanButton.style.display = 'none';
 
+  // Hide the queue while reviewing a single photo
+  captureQueue.classList.add('hidden');
+
+  // Preselect the organ suggested by the current step
+  draftOrgan = STEPS[stepIndex]?.organ || 'auto';
+  renderOrganPicker();
+
+  // Suggest a retake for shots that are likely to be misidentified
+  reviewWarnings.classList.toggle('hidden', warnings.length === 0);
+  reviewWarnings.innerHTML = warnings.length
+    ? `<strong>${t('quality.title')}</strong><ul>${qualityMessages(warnings).map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul><small>${t('quality.retake')}</small>`
+    : '';
+  retakeButton.classList.toggle('suggested', warnings.length > 0);
+
   // Show Review UI
   reviewImage.src = dataUri;
   reviewContainer.classList.remove('hidden');
 }
 
-// ========== COMPRESS IMAGE ==========
-function compressImage(file) {
-  return new Promise((resolve) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const img = new Image();
-      img.onload = () => {
-        let w = img.width, h = img.height;
-        const MAX = 800; // Reduced from 1280 to save memory/storage
-        if (w > h && w > MAX) { h = Math.round(h * MAX / w); w = MAX; }
-        else if (h > MAX) { w = Math.round(w * MAX / h); h = MAX; }
-
-        const canvas = document.createElement('canvas');
-        canvas.width = w;
-        canvas.height = h;
-        canvas.getContext('2d').drawImage(img, 0, 0, w, h);
-        resolve(canvas.toDataURL('image/jpeg', 0.5)); // Reduced quality
-      };
-      img.src = e.target.result;
-    };
-    reader.readAsDataURL(file);
-  });
+function renderOrganPicker() {
+  organPicker.innerHTML = ORGANS
+    .map(value => `<button type="button" class="organ-chip${value === draftOrgan ? ' active' : ''}" data-organ="${value}">${organLabel(value)}</button>`)
+    .join('');
 }
 
+organPicker.addEventListener('click', (e) => {
+  const chip = e.target.closest('button[data-organ]');
+  if (!chip) return;
+  draftOrgan = chip.dataset.organ;
+  renderOrganPicker();
+});
+
 // ========== SCAN BUTTON CLICK ==========
 // ========== SCAN BUTTON CLICK ==========
 scanButton.addEventListener('click', async (e) => {
   e.preventDefault();
   e.stopPropagation();
 
-  console.log('[SCAN] Button clicked. Current counter:', imageCounter);
+  console.log('[SCAN] Button clicked. Phase:', phase, 'step:', stepIndex);
 
-  // If we are in "Done" state (counter >= 3), this button acts as "Start New"
-  if (imageCounter >= 3) {
+  // If we are in "Done" state, this button acts as "Start New"
+  if (phase === 'done') {
     console.log('[SCAN] Starting new session');
     await clearSession(); // Clear storage
-    imageCounter = 0;
+    phase = 'capture';
+    stepIndex = 0;
     capturedImages = [];
     lastResult = null;
+    lastImages = [];
+    lastEntryId = null;
+    lastChat = [];
     resultsDiv.classList.add('hidden');
     resultsDiv.innerHTML = '';
     exportActions.classList.add('hidden');
+    exportDataMenu.classList.add('hidden');
+    shareMenu.classList.add('hidden');
+    chatPanel.classList.add('hidden');
     loadingOverlay.classList.add('hidden');
     showCurrentStep();
     return;
   }
 
-  // Don't open camera if processing
-  if (isProcessingFile) {
+  // Don't open camera if processing or the queue is full
+  if (isProcessingFile || capturedImages.length >= MAX_IMAGES) {
     console.log('[SCAN] Blocked - processing');
     return;
   }
 
+  if (cameraSupported() && !useSystemCamera) openCameraView();
+  else openSystemCamera();
+});
+
+function openSystemCamera() {
   // Clear input and open camera
   fileInput.value = '';
 
@@ -139,7 +354,24 @@ scanButton.addEventListener('click', async (e) => {
   setTimeout(() => {
     fileInput.click();
   }, 50);
-});
+}
+
+// Check and compress a photo (file or camera frame) and show it for review
+async function reviewPhoto(file) {
+  isProcessingFile = true;
+  try {
+    const prepared = await prepareImage(file, STEPS[stepIndex]?.profile);
+    currentDraft = prepared.dataUri;
+    draftWarnings = prepared.warnings;
+    showReview(currentDraft, draftWarnings);
+  } catch (err) {
+    console.error('[FILE] Error:', err);
+    alert(t('error.image', { message: err.message }));
+    showCurrentStep(); // Fallback
+  } finally {
+    isProcessingFile = false;
+  }
+}
 
 // ========== FILE INPUT CHANGE ==========
 // ========== FILE INPUT CHANGE ==========
@@ -150,23 +382,154 @@ fileInput.addEventListener('change', async (e) => {
   if (!file) return;
 
   console.log('[FILE] Got file:', file.name);
-  isProcessingFile = true;
+  // Clear input so same file can be selected again if needed (though we reset later)
+  fileInput.value = '';
+  await reviewPhoto(file);
+});
+
+// ========== LIVE CAMERA ==========
+async function openCameraView() {
+  const opening = ++cameraOpening;
+  const guide = STEPS[stepIndex]?.guide || 'none';
+  cameraGuide.dataset.guide = guide;
+  cameraHint.textContent = t(`camera.guide.${guide}`);
+  cameraStatus.textContent = t('camera.starting');
+  cameraStatus.classList.remove('hidden');
+  shutterButton.disabled = true;
+  torchButton.classList.add('hidden');
+  cameraView.classList.remove('hidden');
 
   try {
-    // Compress and show review
-    const dataUri = await compressImage(file);
-    currentDraft = dataUri;
+    const started = await startCamera(cameraVideo);
+    if (opening !== cameraOpening) { // Closed while starting
+      stopCamera(started);
+      return;
+    }
+    camera = started;
+    cameraStatus.classList.add('hidden');
+    shutterButton.disabled = false;
+    setTorchPressed(false);
+    torchButton.classList.toggle('hidden', !camera.torch);
+  } catch (err) {
+    if (opening !== cameraOpening) return;
+    console.warn('[CAMERA] Unavailable:', err.name, err.message);
+    // The viewfinder stays open with the reason and the system camera button,
+    // which still has the user gesture the file input needs
+    cameraStatus.textContent = t(`camera.error.${cameraErrorCode(err)}`);
+    useSystemCamera = true;
+  }
+}
+
+function closeCameraView() {
+  cameraOpening++;
+  stopCamera(camera);
+  camera = null;
+  cameraVideo.srcObject = null;
+  cameraFocusRing.classList.add('hidden');
+  cameraView.classList.add('hidden');
+}
+
+function setTorchPressed(on) {
+  torchButton.setAttribute('aria-pressed', String(on));
+  torchButton.classList.toggle('active', on);
+}
+
+closeCameraButton.addEventListener('click', () => {
+  closeCameraView();
+  showCurrentStep();
+});
 
-    // Clear input so same file can be selected again if needed (though we reset later)
-    fileInput.value = '';
+systemCameraButton.addEventListener('click', () => {
+  closeCameraView();
+  openSystemCamera();
+});
 
-    showReview(currentDraft);
+torchButton.addEventListener('click', async () => {
+  const on = torchButton.getAttribute('aria-pressed') !== 'true';
+  try {
+    if (await setTorch(camera, on)) setTorchPressed(on);
   } catch (err) {
-    console.error('[FILE] Error:', err);
-    alert('Lỗi xử lý ảnh: ' + err.message);
-    showCurrentStep(); // Fallback
+    console.warn('[CAMERA] Torch failed:', err.message);
+  }
+});
+
+cameraVideo.addEventListener('click', async (e) => {
+  if (!camera?.focus) return;
+  cameraFocusRing.style.left = `${e.clientX}px`;
+  cameraFocusRing.style.top = `${e.clientY}px`;
+  // Restart the ring's animation
+  cameraFocusRing.classList.add('hidden');
+  void cameraFocusRing.offsetWidth;
+  cameraFocusRing.classList.remove('hidden');
+  const { x, y } = framePoint(cameraVideo, e.clientX, e.clientY);
+  try {
+    await focusAt(camera, x, y);
+  } catch (err) {
+    console.warn('[CAMERA] Focus failed:', err.message);
+  }
+});
+
+shutterButton.addEventListener('click', async () => {
+  if (!camera || isProcessingFile) return;
+  let photo;
+  try {
+    photo = await capturePhoto(cameraVideo);
+  } catch (err) {
+    console.error('[CAMERA] Capture failed:', err);
+    alert(t('error.image', { message: err.message }));
+    return;
+  }
+  console.log('[CAMERA] Captured', cameraVideo.videoWidth, 'x', cameraVideo.videoHeight);
+  closeCameraView();
+  await reviewPhoto(photo);
+});
+
+// The camera is released while the app is in the background
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden' && !cameraView.classList.contains('hidden')) {
+    closeCameraView();
+    showCurrentStep();
+  }
+});
+
+// ========== GALLERY IMPORT ==========
+importButton.addEventListener('click', () => {
+  if (isProcessingFile || capturedImages.length >= MAX_IMAGES) return;
+  galleryInput.value = '';
+  galleryInput.click();
+});
+
+galleryInput.addEventListener('change', async (e) => {
+  if (isProcessingFile) return;
+
+  const files = Array.from(e.target.files || []).filter(file => file.type.startsWith('image/'));
+  if (files.length === 0) return;
+
+  const remaining = MAX_IMAGES - capturedImages.length;
+  if (files.length > remaining) {
+    alert(t('import.tooMany', { remaining, max: MAX_IMAGES }));
+  }
+
+  console.log('[GALLERY] Importing', Math.min(files.length, remaining), 'files');
+  isProcessingFile = true;
+  importButton.disabled = true;
+
+  try {
+    // Imported photos follow the guided steps so each gets the organ suggested for its step
+    for (const file of files.slice(0, remaining)) {
+      const { dataUri, warnings } = await prepareImage(file, STEPS[stepIndex]?.profile);
+      capturedImages.push({ dataUri, organ: STEPS[stepIndex]?.organ || 'auto', warnings });
+      stepIndex++;
+    }
+  } catch (err) {
+    console.error('[GALLERY] Error:', err);
+    alert(t('error.image', { message: err.message }));
   } finally {
+    galleryInput.value = '';
     isProcessingFile = false;
+    // Also keeps the photos imported before a failing one
+    await saveSession();
+    showCurrentStep();
   }
 });
 
@@ -181,17 +544,11 @@ confirmButton.addEventListener('click', async () => {
   console.log('[REVIEW] Confirm clicked');
   if (!currentDraft) return;
 
-  capturedImages.push(currentDraft);
-  imageCounter++;
+  capturedImages.push({ dataUri: currentDraft, organ: draftOrgan, warnings: draftWarnings });
+  stepIndex++;
   await saveSession(); // Save progress (async)
   currentDraft = null;
-
-  if (imageCounter >= 3) {
-    // Done capturing 3 images
-    processImages();
-  } else {
-    showCurrentStep();
-  }
+  showCurrentStep();
 });
 
 // ========== PROCESS IMAGES ==========
@@ -200,309 +557,1410 @@ function showProcessing() {
   instructionsDiv.innerHTML = ''; // Clear instructions
   scanButton.style.display = 'none';
   reviewContainer.classList.add('hidden');
+  captureQueue.classList.add('hidden');
+  setLoadingStage('analyzing');
   loadingOverlay.classList.remove('hidden');
 }
 
+// Progress line under the spinner: uploading, plantnet, diseases, gemini
+// or rendering (see `loading.*` in the locales).
+function setLoadingStage(stage, params = {}) {
+  loadingText.textContent = t(`loading.${stage}`, params);
+}
+
+// Controller of the analysis in progress, aborted by the cancel button.
+let analysisController = null;
+
+cancelAnalysisButton.addEventListener('click', () => {
+  console.log('[PROCESS] Cancelled by the user');
+  analysisController?.abort();
+});
+
 // ========== PROCESS IMAGES ==========
 async function processImages() {
   console.log('[PROCESS] Starting with', capturedImages.length, 'images');
 
   // Ensure processing UI is shown
+  phase = 'processing';
+  await saveSession(); // Lets a reload resume the analysis
   showProcessing();
 
+  let doneKey = 'scan.done';
+  let cancelled = false;
+  let failed = false;
+  analysisController = new AbortController();
+  const { signal } = analysisController;
+  cancelAnalysisButton.classList.remove('hidden');
   try {
-    let result = null;
-
-    // Try Pl@ntNet first
-    try {
-      const response = await fetch('/identify', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          images: capturedImages,
-          organs: ['auto', 'auto', 'auto'],
-          detectDisease: true,
-          lang: 'vi'
-        })
-      });
-      const data = await response.json();
-      if (data.identify?.results?.length > 0) {
-        result = buildPlantnetResult(data);
-      }
-    } catch (err) {
-      console.log('[PLANTNET] Failed:', err.message);
-    }
-
-    // Use Gemini
-    const apiKey = await getKey();
-    if (apiKey) {
-      const geminiResult = await callGemini(apiKey, capturedImages);
-      if (geminiResult) {
-        result = geminiResult;
-      }
+    // Without a connection keep the capture for later instead of failing
+    // In server mode the card fills in while Gemini is still answering
+    const showPartial = partial => {
+      loadingOverlay.classList.add('hidden');
+      displayResult(partial);
+    };
+    const analysis = navigator.onLine === false ? { offline: true } : await analyzeScan(capturedImages, null, {
+      onProgress: showPartial,
+      onStage: setLoadingStage,
+      signal
+    });
+    if (analysis.offline) {
+      await queueScan(capturedImages, rescanPlantId);
+      rescanPlantId = null;
+      doneKey = 'queue.saved';
+      return;
     }
 
+    setLoadingStage('rendering');
+    const { result, provider, aiError } = analysis;
     lastResult = result;
-    displayResult(result);
+    lastImages = capturedImages.slice();
+    lastEntryId = null;
+    lastChat = [];
+    displayResult(result || (aiError && { ai_error: aiError }));
     exportActions.classList.remove('hidden');
+    renderChat();
+
+    if (result && Object.keys(result).length > 0) {
+      lastEntryId = await saveToHistory(result, capturedImages, provider);
+      // A rescan started from a plant's timeline
+      if (lastEntryId != null && rescanPlantId) await linkScan(lastEntryId, rescanPlantId);
+    }
+    rescanPlantId = null;
   } catch (err) {
-    resultsDiv.classList.remove('hidden');
-    resultsDiv.innerHTML = `<p class="error">Lỗi: ${err.message}</p>`;
+    if (signal.aborted) {
+      cancelled = true;
+    } else {
+      failed = true;
+      resultsDiv.classList.remove('hidden');
+      resultsDiv.innerHTML = `<p class="error">${escapeHtml(t('error.generic', { message: err.message }))}</p>`;
+    }
   } finally {
-    // Set state to DONE (4) so Scan button becomes "Start New"
-    imageCounter = 4;
-    await clearSession(); // Job done, clear session
-
+    analysisController = null;
+    cancelAnalysisButton.classList.add('hidden');
     loadingOverlay.classList.add('hidden'); // Hide loading
 
-    scanButton.textContent = 'QUÉT CÂY KHÁC';
-    scanButton.style.display = '';
-    scanButton.disabled = false;
-    instructionsDiv.innerHTML = '<p>Đã hoàn thành phân tích.</p>';
+    if (cancelled || failed) {
+      // Back to the photos, which can be analysed again or changed; a
+      // failure stays explained in the results
+      if (cancelled) {
+        resultsDiv.classList.add('hidden');
+        resultsDiv.innerHTML = '';
+      }
+      phase = 'capture';
+      await saveSession();
+      showCurrentStep();
+      if (cancelled) instructionsDiv.insertAdjacentHTML('afterbegin', `<p>${escapeHtml(t('scan.cancelled'))}</p>`);
+    } else {
+      // Set state to DONE so Scan button becomes "Start New"
+      phase = 'done';
+      await clearSession(); // Job done, clear session
+      showDone(doneKey);
+    }
   }
 }
 
-// ========== BUILD PLANTNET RESULT ==========
-function buildPlantnetResult(data) {
-  const output = {};
-  const top = data.identify?.results?.[0];
-  if (top) {
-    output.best_match = {
-      scientific_name: top.species?.scientificNameWithoutAuthor || '',
-      common_name: top.species?.commonNames?.[0] || '',
-      confidence: top.score
-    };
-  }
-  if (data.diseases?.results?.length > 0) {
-    output.health_assessment = {
-      issues: data.diseases.results.map(r => ({
-        name: r.label || r.name || '',
-        likelihood: r.score
-      }))
-    };
-  }
-  return output;
+// ========== ANALYZE SCAN ==========
+// Time limits per analysis stage. The server already retries Pl@ntNet, so
+// these only trip when something is really stuck.
+const STAGE_TIMEOUTS = { identify: 90 * 1000, diseases: 75 * 1000, gemini: 150 * 1000 };
+
+// Binary multipart upload; base64 JSON would add a third to every photo.
+// `plantnet` holds the Pl@ntNet settings ({ project, noReject }) the scan
+// was taken with.
+function identifyForm(images, lang, plantnet) {
+  const form = new FormData();
+  images.forEach((image, idx) => {
+    form.append('images', dataUriToBlob(image.dataUri), `scan-${idx + 1}.jpg`);
+    form.append('organs', image.organ);
+  });
+  form.append('lang', lang);
+  form.append('project', plantnet.project);
+  form.append('nbResults', String(CANDIDATE_LIMIT));
+  if (plantnet.noReject) form.append('noReject', 'true');
+  return form;
 }
 
-// ========== CALL GEMINI (gemini-2.0-flash-exp) ==========
-// ========== CALL GEMINI (SDK) ==========
-async function callGemini(apiKey, images) {
-  try {
-    // 1. Prepare images for SDK
-    // SDK expects: { inlineData: { data: "base64...", mimeType: "image/jpeg" } }
-    const imageParts = images.map(uri => {
-      // strip "data:image/jpeg;base64," header
-      const commaIdx = uri.indexOf(',');
-      if (commaIdx === -1) return null;
-      const base64Data = uri.substring(commaIdx + 1);
-      const mimeType = uri.substring(5, commaIdx).split(';')[0];
-      return {
-        inlineData: {
-          data: base64Data,
-          mimeType: mimeType
-        }
-      };
-    }).filter(Boolean);
-
-    // 2. Initialize Gemini Client
-    const { GoogleGenerativeAI } = await import("@google/generative-ai");
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
-
-    const prompt = `Bạn là chuyên gia thực vật học. Phân tích ảnh cây và trả về JSON:
-{
-  "best_match": {"scientific_name": "", "common_name": "", "family": "", "confidence": 0.9},
-  "health_assessment": {"status": "", "possible_issues": [{"name": "", "likelihood": 0.7, "safe_actions": ""}]},
-  "care_guide": {"watering": "", "light": "", "soil": "", "fertilizing": ""},
-  "fun_facts": [""]
+// POST the images to the backend identification providers. Transient
+// failures are retried; resolves to the decoded answer.
+async function requestIdentify(images, lang = getLocale(), options = null, { detectDisease = true, signal, onUploadProgress } = {}) {
+  const plantnet = options || await getPlantnetSettings();
+  const { status, data } = await withRetry(() => {
+    const form = identifyForm(images, lang, plantnet);
+    if (detectDisease) form.append('detectDisease', 'true');
+    return postForm('/identify', form, { signal, timeoutMs: STAGE_TIMEOUTS.identify, onUploadProgress });
+  }, { signal });
+  if (!data) throw new Error(`Identification failed (HTTP ${status})`);
+  return data;
 }
-Trả lời bằng tiếng Việt. Chỉ trả về JSON.`;
-
-    // 3. Generate Content
-    const result = await model.generateContent([prompt, ...imageParts]);
-    const response = await result.response;
-    const text = response.text();
 
-    // 4. Parse JSON
-    let cleanText = text.trim().replace(/^```json\n?/, '').replace(/\n?```$/, '');
-    return JSON.parse(cleanText);
-
-  } catch (err) {
-    console.error('[GEMINI SDK] Failed:', err);
-    return null;
-  }
+// Disease check as its own stage, after requestIdentify(..., { detectDisease: false }).
+async function requestDiseases(images, lang = getLocale(), options = null, { signal } = {}) {
+  const plantnet = options || await getPlantnetSettings();
+  const { status, data } = await withRetry(
+    () => postForm('/diseases', identifyForm(images, lang, plantnet), { signal, timeoutMs: STAGE_TIMEOUTS.diseases }),
+    { signal }
+  );
+  if (!data) throw new Error(`Disease check failed (HTTP ${status})`);
+  return data;
 }
 
-// ========== DISPLAY RESULT ==========
-function displayResult(result) {
-  resultsDiv.classList.remove('hidden');
-
-  if (!result || Object.keys(result).length === 0) {
-    resultsDiv.innerHTML = '<p>Không xác định được cây. Thử lại với ảnh khác.</p>';
-    return;
-  }
-
-  let html = '';
-
-  if (result.best_match) {
-    html += `<h3>🌿 ${result.best_match.common_name || result.best_match.scientific_name}</h3>`;
-    html += `<p><em>${result.best_match.scientific_name}</em></p>`;
-    if (result.best_match.family) html += `<p>Họ: ${result.best_match.family}</p>`;
-    if (result.best_match.confidence) html += `<p>Độ tin cậy: ${Math.round(result.best_match.confidence * 100)}%</p>`;
-  }
+function dataUriToBlob(dataUri) {
+  const [header, base64] = dataUri.split(',');
+  const mimeType = /^data:([^;]+)/.exec(header)[1];
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  return new Blob([bytes], { type: mimeType });
+}
 
-  if (result.health_assessment) {
-    html += `<h3>🏥 Sức khỏe</h3>`;
-    if (result.health_assessment.status) html += `<p>${result.health_assessment.status}</p>`;
-    if (result.health_assessment.possible_issues?.length) {
-      html += '<ul>';
-      result.health_assessment.possible_issues.forEach(i => {
-        html += `<li><strong>${i.name}</strong>`;
-        if (i.likelihood) html += ` (${Math.round(i.likelihood * 100)}%)`;
-        if (i.safe_actions) html += `<br><small>💡 ${i.safe_actions}</small>`;
-        html += '</li>';
+/**
+ * Run the full analysis (Pl@ntNet, then Gemini, then merge) for a set of
+ * captured images. `identifyData` skips the /identify call when the
+ * service worker already made it for a queued scan. Options:
+ *   onProgress(result)     partial merged results while a server-mode
+ *                          analysis streams
+ *   onStage(key, params)   the stage starts: uploading ({ percent }),
+ *                          plantnet, diseases or gemini
+ *   signal                 AbortSignal cancelling the whole analysis; the
+ *                          promise then rejects with its reason
+ * A stage that times out is skipped. Resolves to
+ * `{ result, provider, aiError }`, or `{ offline: true }` when the network
+ * is unreachable. `aiError` ({ code, message }) explains a failed Gemini
+ * analysis and is also kept on the result as `ai_error`.
+ */
+async function analyzeScan(images, identifyData = null, { onProgress, onStage, signal } = {}) {
+  let plantnetResult = null;
+  let geminiResult = null;
+  const provider = { identify: null, ai: null };
+
+  // Try Pl@ntNet first
+  let data = identifyData;
+  if (!data) {
+    try {
+      onStage?.('uploading', { percent: 0 });
+      data = await requestIdentify(images, getLocale(), null, {
+        detectDisease: false,
+        signal,
+        onUploadProgress: fraction => {
+          if (fraction < 1) onStage?.('uploading', { percent: Math.round(fraction * 100) });
+          else onStage?.('plantnet');
+        }
       });
-      html += '</ul>';
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      // Only a request that never got through rejects with a TypeError
+      if (err instanceof TypeError) return { offline: true };
+      console.log('[PLANTNET] Failed:', err.message);
+    }
+    if (data && !data.error) {
+      onStage?.('diseases');
+      try {
+        const answer = await requestDiseases(images, getLocale(), null, { signal });
+        data.diseases = answer?.diseases ?? null;
+        data.providers = { ...data.providers, diseases: answer?.providers?.diseases ?? null };
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.log('[PLANTNET] Disease check failed:', err.message);
+      }
     }
   }
-
-  if (result.care_guide) {
-    html += `<h3>📚 Chăm sóc</h3><ul>`;
-    if (result.care_guide.watering) html += `<li>💧 ${result.care_guide.watering}</li>`;
-    if (result.care_guide.light) html += `<li>☀️ ${result.care_guide.light}</li>`;
-    if (result.care_guide.soil) html += `<li>🌱 ${result.care_guide.soil}</li>`;
-    if (result.care_guide.fertilizing) html += `<li>🧪 ${result.care_guide.fertilizing}</li>`;
-    html += '</ul>';
+  if (data?.identify?.results?.length > 0 || data?.diseases?.results?.length > 0) {
+    plantnetResult = normalizePlantnet(data);
+    provider.identify = data.providers?.identify || 'plantnet';
   }
 
-  if (result.fun_facts?.length) {
-    html += `<h3>✨ Thú vị</h3><ul>`;
-    result.fun_facts.forEach(f => html += `<li>${f}</li>`);
-    html += '</ul>';
+  // Use Gemini: the user's own key first, otherwise the server's if enabled
+  let aiError = null;
+  const apiKey = await getKey();
+  if (apiKey || serverConfig.geminiProxy) {
+    onStage?.('gemini');
+    const stage = stageSignal(signal, STAGE_TIMEOUTS.gemini);
+    try {
+      const { value, model } = apiKey
+        ? await callGemini(apiKey, images, stage.signal)
+        : await callGeminiProxy(images, partial => onProgress?.(mergeResults(plantnetResult, normalizeGemini(partial))), stage.signal);
+      geminiResult = normalizeGemini(value);
+      provider.ai = 'gemini';
+      provider.model = model;
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error('[GEMINI SDK] Failed:', err);
+      // A stage timeout aborts the SDK call with its own generic error
+      const failure = stage.signal.aborted ? stage.signal.reason : err;
+      aiError = { code: geminiErrorCode(failure), message: failure.message };
+    } finally {
+      stage.done();
+    }
   }
 
-  resultsDiv.innerHTML = html || `<pre>${JSON.stringify(result, null, 2)}</pre>`;
+  // Keep both sources and flag whether they agree on the species
+  const result = mergeResults(plantnetResult, geminiResult);
+  if (result && provider.model) result.ai_model = provider.model;
+  if (result && aiError) result.ai_error = aiError;
+  return { result, provider, aiError };
 }
 
-// ========== INDEXEDDB ==========
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open('plantScannerDB', 2);
-    req.onupgradeneeded = e => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains('settings')) {
-        db.createObjectStore('settings');
-      }
-      if (!db.objectStoreNames.contains('session')) {
-        db.createObjectStore('session');
-      }
-    };
-    req.onsuccess = e => resolve(e.target.result);
+// ========== OFFLINE QUEUE ==========
+// Scans captured without a connection wait in the `pending` store:
+//   { id, createdAt, images: [{ dataUri, organ }], lang, plantnet, plantId, status, lockedAt, identifyData, error }
+// status: 'queued' -> 'identifying' -> 'identified' -> 'analyzing' -> (moved to history)
+// or 'failed' with `error`, until the user retries or deletes it.
+// The service worker performs the /identify stage through Background Sync;
+// Gemini needs the SDK and the key, so the page always finishes the job.
+const SYNC_TAG = 'process-scans';
+const CLAIM_TIMEOUT = 2 * 60 * 1000; // A claim older than this is considered abandoned
+let isDrainingQueue = false;
+
+async function queueScan(images, plantId = null) {
+  const entry = {
+    createdAt: Date.now(),
+    images: images.slice(),
+    plantId,
+    lang: getLocale(),
+    plantnet: await getPlantnetSettings(),
+    status: 'queued',
+    lockedAt: 0
+  };
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const req = db.transaction('pending', 'readwrite').objectStore('pending').add(entry);
+    req.onsuccess = () => resolve();
     req.onerror = () => reject(req.error);
   });
+  console.log('[QUEUE] Scan queued for later');
+
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().catch(() => {});
+  }
+  await requestBackgroundSync();
+  renderPending();
 }
 
-async function getKey() {
+async function requestBackgroundSync() {
+  try {
+    const reg = await navigator.serviceWorker?.ready;
+    if (reg && 'sync' in reg) await reg.sync.register(SYNC_TAG);
+  } catch (e) {
+    console.log('[QUEUE] Background Sync unavailable:', e.message);
+  }
+}
+
+async function getPendingScans() {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const req = db.transaction('settings', 'readonly').objectStore('settings').get('geminiKey');
+    const req = db.transaction('pending', 'readonly').objectStore('pending').getAll();
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
 }
 
-async function saveKey(key) {
+async function putPendingScan(entry) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const req = db.transaction('settings', 'readwrite').objectStore('settings').put(key, 'geminiKey');
+    const req = db.transaction('pending', 'readwrite').objectStore('pending').put(entry);
     req.onsuccess = () => resolve();
     req.onerror = () => reject(req.error);
   });
 }
 
-async function deleteKey() {
+async function deletePendingScan(id) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const req = db.transaction('settings', 'readwrite').objectStore('settings').delete('geminiKey');
+    const req = db.transaction('pending', 'readwrite').objectStore('pending').delete(id);
     req.onsuccess = () => resolve();
     req.onerror = () => reject(req.error);
   });
 }
 
-// ========== SESSION STORAGE ==========
-// ========== SESSION STORAGE (IndexedDB) ==========
-async function saveSession() {
-  try {
-    const db = await openDB();
-    const data = { imageCounter, capturedImages };
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction('session', 'readwrite');
-      const store = tx.objectStore('session');
-      store.put(data, SESSION_ID);
-      tx.oncomplete = () => {
-        console.log('[SESSION] Saved state:', data.imageCounter);
-        resolve();
-      };
-      tx.onerror = () => reject(tx.error);
-    });
-  } catch (e) {
-    console.error('[SESSION] Save failed:', e);
-  }
+// Atomically move a pending scan from `from` to `to` status. Resolves to the
+// claimed entry, or null when the service worker or another tab owns it.
+async function claimPendingScan(id, from, to) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const store = db.transaction('pending', 'readwrite').objectStore('pending');
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      const entry = getReq.result;
+      const abandoned = entry && entry.status === to && Date.now() - entry.lockedAt > CLAIM_TIMEOUT;
+      if (!entry || (entry.status !== from && !abandoned)) return resolve(null);
+      entry.status = to;
+      entry.lockedAt = Date.now();
+      const putReq = store.put(entry);
+      putReq.onsuccess = () => resolve(entry);
+      putReq.onerror = () => reject(putReq.error);
+    };
+    getReq.onerror = () => reject(getReq.error);
+  });
 }
 
-async function loadSession() {
+// Process every pending scan we can while online.
+async function processPendingScans() {
+  if (isDrainingQueue || navigator.onLine === false) return;
+  isDrainingQueue = true;
   try {
-    const db = await openDB();
-    const data = await new Promise((resolve, reject) => {
-      const tx = db.transaction('session', 'readonly');
-      const req = tx.objectStore('session').get(SESSION_ID);
-      req.onsuccess = () => resolve(req.result);
-      req.onerror = () => reject(req.error);
-    });
-
-    // Restore if data exists and is valid
-    if (data && typeof data.imageCounter === 'number') {
-      imageCounter = data.imageCounter;
-      capturedImages = data.capturedImages || [];
-      console.log('[SESSION] Restored state:', imageCounter);
-
-      // If we were processing or ready to process (counter >= 3), resume it
-      if (imageCounter >= 3) {
-        console.log('[SESSION] Resuming processing...');
-        processImages();
-        return true;
+    for (const { id } of await getPendingScans()) {
+      // Stage 1: identification, unless the service worker already did it
+      let entry = await claimPendingScan(id, 'queued', 'identifying');
+      if (entry) {
+        try {
+          entry.identifyData = await requestIdentify(entry.images, entry.lang, entry.plantnet);
+          entry.status = 'identified';
+          entry.error = null;
+        } catch (err) {
+          entry.status = 'queued';
+          entry.error = err.message;
+        }
+        entry.lockedAt = 0;
+        await putPendingScan(entry);
+        if (entry.status === 'queued') break; // Still offline, try again later
       }
 
-      return true;
+      // Stage 2: Gemini analysis and merge, then move into history
+      entry = await claimPendingScan(id, 'identified', 'analyzing');
+      if (!entry) continue;
+      renderPending();
+      let analysis;
+      try {
+        analysis = await analyzeScan(entry.images, entry.identifyData);
+      } catch (err) {
+        console.error('[QUEUE] Analysis failed for scan', id, err);
+        entry.status = 'failed';
+        entry.error = err.message;
+        entry.lockedAt = 0;
+        await putPendingScan(entry);
+        continue;
+      }
+      const { result, provider } = analysis;
+      let historyId = null;
+      if (result && Object.keys(result).length > 0) {
+        historyId = await saveToHistory(result, entry.images, provider, entry.createdAt);
+        if (historyId != null && entry.plantId) await linkScan(historyId, entry.plantId);
+      }
+      await deletePendingScan(id);
+      console.log('[QUEUE] Finished queued scan', id);
+      notifyScanReady(result, historyId);
     }
   } catch (e) {
-    console.error('[SESSION] Load failed:', e);
+    console.error('[QUEUE] Processing failed:', e);
+  } finally {
+    isDrainingQueue = false;
+    renderPending();
   }
-  return false;
 }
 
-async function clearSession() {
+const PENDING_STATUS = {
+  queued: 'queue.status.queued',
+  identifying: 'queue.status.identifying',
+  identified: 'queue.status.identified',
+  analyzing: 'queue.status.analyzing',
+  failed: 'queue.status.failed'
+};
+
+async function renderPending() {
+  let entries = [];
   try {
-    const db = await openDB();
-    const tx = db.transaction('session', 'readwrite');
-    tx.objectStore('session').delete(SESSION_ID);
-    console.log('[SESSION] Cleared');
+    entries = await getPendingScans();
   } catch (e) {
-    console.error('[SESSION] Clear failed', e);
+    console.error('[QUEUE] Load failed:', e);
   }
+  pendingPanel.classList.toggle('hidden', entries.length === 0);
+  pendingList.innerHTML = entries.map(entry => `
+    <div class="pending-item" data-id="${entry.id}">
+      <img src="${escapeHtml(entry.images[0]?.dataUri)}" alt="">
+      <div class="pending-info">
+        <strong>${escapeHtml(new Date(entry.createdAt).toLocaleString(localeTag()))}</strong>
+        <small>${escapeHtml(t(PENDING_STATUS[entry.status] || 'queue.status.queued'))}${entry.error ? ` · ${escapeHtml(entry.error)}` : ''}</small>
+      </div>
+      ${entry.status === 'failed' ? `<button data-action="retry" title="${t('queue.retry')}">↻</button>` : ''}
+      <button data-action="delete" title="${t('history.delete')}">✕</button>
+    </div>`).join('');
 }
 
-// ========== MODALS ==========
-const showModal = m => m.classList.add('show');
-const hideModal = m => m.classList.remove('show');
+pendingList.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const id = Number(button.closest('.pending-item').dataset.id);
+  if (button.dataset.action === 'retry') {
+    // Resume from the stage that failed
+    const entry = await claimPendingScan(id, 'failed', 'failed');
+    if (!entry) return;
+    entry.status = entry.identifyData ? 'identified' : 'queued';
+    entry.error = null;
+    entry.lockedAt = 0;
+    await putPendingScan(entry);
+    renderPending();
+    requestBackgroundSync();
+    processPendingScans();
+    return;
+  }
+  if (!confirm(t('queue.confirmDelete'))) return;
+  await deletePendingScan(id);
+  renderPending();
+});
 
-async function updateKeyStatus() {
-  keyStatus.textContent = (await getKey()) ? 'Đã lưu khóa Gemini.' : 'Chưa có khóa Gemini.';
+// Tell the user a queued scan has been analysed: a system notification when
+// the app is in the background, an in-app toast otherwise.
+async function notifyScanReady(result, historyId) {
+  const name = result?.best_match?.common_name || result?.best_match?.scientific_name || t('history.unknown');
+  const body = t('queue.readyBody', { name });
+  if (document.visibilityState !== 'visible' && 'Notification' in window && Notification.permission === 'granted') {
+    const reg = await navigator.serviceWorker?.ready;
+    if (reg) {
+      reg.showNotification(t('queue.readyTitle'), { body, icon: '192.png', tag: `scan-${historyId}`, data: { historyId } });
+      return;
+    }
+  }
+  showToast(body, historyId);
 }
 
-// ========== INIT ==========
-window.addEventListener('DOMContentLoaded', async () => {
-  // Helper: Nuke old SW if stuck
+let toastTimer = null;
+function showToast(message, historyId = null) {
+  toast.textContent = message;
+  toast.dataset.historyId = historyId ?? '';
+  toast.classList.remove('hidden');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toast.classList.add('hidden'), 6000);
+}
+
+toast.addEventListener('click', async () => {
+  toast.classList.add('hidden');
+  const id = Number(toast.dataset.historyId);
+  if (!id || phase === 'processing') return;
+  const entry = await getHistoryEntry(id);
+  if (entry) openHistoryEntry(entry);
+});
+
+window.addEventListener('online', () => {
+  console.log('[QUEUE] Back online');
+  requestBackgroundSync();
+  processPendingScans();
+});
+
+// ========== SHOW DONE ==========
+// Scan button becomes "Start New"; the note stays translatable.
+function showDone(key, params = {}) {
+  doneNote = { key, params };
+  scanButton.textContent = t('scan.new');
+  scanButton.style.display = '';
+  scanButton.disabled = false;
+  instructionsDiv.innerHTML = `<p>${escapeHtml(t(key, params))}</p>`;
+}
+
+// ========== CALL GEMINI (gemini-2.0-flash-exp) ==========
+// ========== CALL GEMINI (SDK) ==========
+// Resolves to `{ value, model }` where `value` is JSON validated against
+// ANALYSIS_SCHEMA and `model` the model that produced it; throws otherwise.
+async function callGemini(apiKey, images, signal) {
+  // 1. Prepare images for SDK
+  // SDK expects: { inlineData: { data: "base64...", mimeType: "image/jpeg" } }
+  const imageParts = images.map(({ dataUri: uri }) => {
+    // strip "data:image/jpeg;base64," header
+    const commaIdx = uri.indexOf(',');
+    if (commaIdx === -1) return null;
+    const base64Data = uri.substring(commaIdx + 1);
+    const mimeType = uri.substring(5, commaIdx).split(';')[0];
+    return {
+      inlineData: {
+        data: base64Data,
+        mimeType: mimeType
+      }
+    };
+  }).filter(Boolean);
+
+  const prompt = analysisPrompt(t, images.map(image => image.organ));
+
+  // 2. Generate validated JSON, falling back through the configured models
+  return withGeminiFallback(apiKey, { schema: ANALYSIS_SCHEMA, signal }, model =>
+    generateStructured(model, [{ text: prompt }, ...imageParts], ANALYSIS_SCHEMA, signal));
+}
+
+// ========== GEMINI MODELS & FALLBACK ==========
+// Stored in settings under `gemini`. `models` is the fallback chain, tried
+// in order; empty temperature / maxOutputTokens keep the model defaults.
+const DEFAULT_GEMINI_SETTINGS = {
+  models: ['gemini-3-flash-preview', 'gemini-2.5-flash', 'gemini-2.5-flash-lite'],
+  temperature: null,
+  maxOutputTokens: null
+};
+
+async function getGeminiSettings() {
+  const saved = await getSetting('gemini').catch(() => null);
+  return {
+    ...DEFAULT_GEMINI_SETTINGS,
+    ...saved,
+    models: saved?.models?.length ? saved.models : DEFAULT_GEMINI_SETTINGS.models
+  };
+}
+
+/**
+ * Run `task(model)` with each model of the fallback chain until one
+ * succeeds. A model that errors, hits its quota or keeps producing invalid
+ * output hands over to the next one; a rejected key or a missing network
+ * fails immediately since no other model would fare better, and so does
+ * an aborted `signal`.
+ * Resolves to `{ value, model }` where `model` is the name that answered.
+ */
+async function withGeminiFallback(apiKey, { schema, systemInstruction, signal } = {}, task) {
+  const settings = await getGeminiSettings();
+  const { GoogleGenerativeAI } = await import("@google/generative-ai");
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const generationConfig = {};
+  if (schema) {
+    generationConfig.responseMimeType = 'application/json';
+    generationConfig.responseSchema = schema;
+  }
+  if (settings.temperature != null) generationConfig.temperature = settings.temperature;
+  if (settings.maxOutputTokens) generationConfig.maxOutputTokens = settings.maxOutputTokens;
+
+  let lastError = null;
+  for (const name of settings.models) {
+    try {
+      const model = genAI.getGenerativeModel({ model: name, generationConfig, systemInstruction });
+      return { value: await task(model), model: name };
+    } catch (err) {
+      // Cancelled or out of time: no point in asking the next model
+      if (signal?.aborted) throw signal.reason;
+      lastError = err;
+      const code = geminiErrorCode(err);
+      if (code === 'key' || code === 'network') throw err;
+      console.warn(`[GEMINI SDK] ${name} failed (${code}), trying the next model`);
+    }
+  }
+  throw lastError;
+}
+
+// ========== GEMINI STRUCTURED OUTPUT ==========
+// Extra attempts after an answer that fails validation.
+const GEMINI_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Ask for JSON matching `schema` and validate the answer. An invalid
+ * answer is sent back together with the validation errors so the model
+ * can repair it, up to GEMINI_REPAIR_ATTEMPTS times. Throws an error with
+ * `code: 'invalid_output'` when no valid answer was produced.
+ */
+async function generateStructured(model, parts, schema, signal) {
+  const contents = [{ role: 'user', parts }];
+  let errors = [];
+  for (let attempt = 0; attempt <= GEMINI_REPAIR_ATTEMPTS; attempt++) {
+    const response = (await model.generateContent({ contents }, { signal })).response;
+    // text() throws when the answer was blocked
+    const text = response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+      errors = validate(json, schema);
+    } catch (err) {
+      errors = [`invalid JSON: ${err.message}`];
+    }
+    if (errors.length === 0) return json;
+
+    console.warn(`[GEMINI SDK] Invalid answer (attempt ${attempt + 1}):`, errors);
+    contents.push(
+      { role: 'model', parts: [{ text }] },
+      { role: 'user', parts: [{ text: t('prompt.repair', { errors: errors.slice(0, 10).join('; ') }) }] }
+    );
+  }
+  const err = new Error(`Invalid Gemini output: ${errors.join('; ')}`);
+  err.code = 'invalid_output';
+  throw err;
+}
+
+// Codes with an `ai.error.*` message of their own (besides 'unknown'), as
+// ERROR_CODES in lib/gemini.js.
+const GEMINI_ERROR_CODES = ['invalid_output', 'blocked', 'quota', 'key', 'network', 'timeout'];
+
+// Map a Gemini failure to one of the `ai.error.*` messages. DOMExceptions
+// carry numeric codes of their own, which are not among them.
+function geminiErrorCode(err) {
+  if (GEMINI_ERROR_CODES.includes(err.code)) return err.code;
+  if (err.name === 'TimeoutError') return 'timeout';
+  const message = String(err.message || '');
+  if (err.status === 429 || /quota|RESOURCE_EXHAUSTED/i.test(message)) return 'quota';
+  if (err.status === 401 || err.status === 403 || /API key/i.test(message)) return 'key';
+  if (/blocked|SAFETY/i.test(message)) return 'blocked';
+  if (err instanceof TypeError || navigator.onLine === false) return 'network';
+  return 'unknown';
+}
+
+// ========== CALL GEMINI (SERVER MODE) ==========
+// The server runs the analysis with its own key and streams the JSON as it
+// is generated (see handleAnalyze in server.js). It builds the prompt
+// itself, in the language sent as `lang`. `onPartial` receives the
+// leniently parsed answer so far. Resolves to `{ value, model }` like
+// callGemini.
+async function callGeminiProxy(images, onPartial, signal) {
+  const form = new FormData();
+  images.forEach((image, idx) => {
+    form.append('images', dataUriToBlob(image.dataUri), `scan-${idx + 1}.jpg`);
+    form.append('organs', image.organ);
+  });
+  form.append('lang', getLocale());
+  const response = await fetch('/analyze', { method: 'POST', body: form, signal });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Server analysis failed (${response.status})`);
+  }
+
+  let text = '';
+  let answer = null;
+  let failure = null;
+  await readEventStream(response, (event, data) => {
+    switch (event) {
+      case 'model': // A (fallback) model starts over
+      case 'retry': // The answer is being repaired
+        text = '';
+        break;
+      case 'delta': {
+        text += data.text;
+        const partial = parsePartialJson(text);
+        if (partial) onPartial?.(partial);
+        break;
+      }
+      case 'done':
+        answer = data;
+        break;
+      case 'error':
+        failure = data;
+        break;
+    }
+  });
+
+  if (failure) {
+    const err = new Error(failure.message);
+    err.code = failure.code;
+    throw err;
+  }
+  if (!answer) throw new Error('The analysis stream ended early');
+  // Validated on the server already; the results card must not trust the wire
+  const errors = validate(answer.result, ANALYSIS_SCHEMA);
+  if (errors.length) {
+    const err = new Error(`Invalid Gemini output: ${errors.join('; ')}`);
+    err.code = 'invalid_output';
+    throw err;
+  }
+  return { value: answer.result, model: answer.model };
+}
+
+// ========== SERVER CONFIG ==========
+// Optional server features from GET /config. Stays at the defaults offline
+// or on a static host, where everything runs in the browser.
+let serverConfig = { geminiProxy: false };
+
+async function loadServerConfig() {
+  try {
+    const response = await fetch('/config');
+    if (response.ok) serverConfig = await response.json();
+  } catch (e) {
+    console.log('[CONFIG] Server config unavailable:', e.message);
+  }
+}
+
+// ========== CALL GEMINI: CARE GUIDE FOR A CHOSEN SPECIES ==========
+// Text-only call used when the user picks another candidate than the one
+// the original care guide was written for.
+async function callGeminiCareGuide(apiKey, species, signal) {
+  const name = `${species.scientific_name}${species.common_name ? ` (${species.common_name})` : ''}`;
+  const prompt = `${t('prompt.role')} ${t('prompt.careGuide', { species: name })} ${t('prompt.schedule')}
+${t('prompt.language')}`;
+
+  const { value: json } = await withGeminiFallback(apiKey, { schema: CARE_GUIDE_SCHEMA, signal }, model =>
+    generateStructured(model, [{ text: prompt }], CARE_GUIDE_SCHEMA, signal));
+  return {
+    care_guide: { ...json.care_guide, species: species.scientific_name, source: 'gemini' },
+    fun_facts: json.fun_facts
+  };
+}
+
+// ========== HTML ESCAPING ==========
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+// ========== DISPLAY RESULT ==========
+function sourceBadge(source) {
+  return source ? ` <span class="source-badge">${escapeHtml(SOURCE_LABELS[source] || source)}</span>` : '';
+}
+
+function speciesLabel(match) {
+  const name = match.common_name ? `${match.common_name} (${match.scientific_name})` : match.scientific_name;
+  const score = typeof match.confidence === 'number' ? ` ${Math.round(match.confidence * 100)}%` : '';
+  return `${escapeHtml(name)}${score}`;
+}
+
+// Why the picked species has no care guide (`care_error`, see
+// loadCareGuide). Scans saved before it was recorded say nothing.
+function careErrorMessage(error) {
+  if (!error || error.code === 'no_key') return t('result.careNeedsKey');
+  if (error.code === 'cancelled') return t('result.careCancelled');
+  return aiErrorMessage(error);
+}
+
+function aiErrorMessage(error) {
+  return t(`ai.error.${error.code}`, { message: error.message });
+}
+
+function displayResult(result) {
+  resultsDiv.classList.remove('hidden');
+
+  if (!result || !(result.best_match || result.candidates?.length || result.health_assessment)) {
+    // Nothing to show: explain why instead of a bare "not identified"
+    resultsDiv.innerHTML = result?.ai_error
+      ? `<div class="result-error"><h3>${t('result.failedTitle')}</h3><p>${escapeHtml(aiErrorMessage(result.ai_error))}</p></div>`
+      : `<p>${t('result.empty')}</p>`;
+    return;
+  }
+
+  let html = '';
+
+  if (result.ai_error) {
+    html += `<div class="result-notice"><strong>${t('result.aiFailed')}</strong><small>${escapeHtml(aiErrorMessage(result.ai_error))}</small></div>`;
+  }
+
+  if (result.best_match) {
+    const b = result.best_match;
+    html += `<h3>🌿 ${escapeHtml(b.common_name || b.scientific_name)}</h3>`;
+    html += `<p><em>${escapeHtml(b.scientific_name)}</em>${sourceBadge(b.source)}</p>`;
+    if (b.family) html += `<p>${escapeHtml(t('result.family', { family: b.family }))}</p>`;
+    if (b.confidence) html += `<p>${t('result.confidence', { percent: Math.round(b.confidence * 100) })}</p>`;
+  }
+
+  const check = result.species_check;
+  if (check && check.plantnet && check.gemini) {
+    if (check.status === 'agree') {
+      html += `<p class="species-check agree">${t('result.agree')}</p>`;
+    } else {
+      const title = t(check.status === 'partial' ? 'result.partial' : 'result.conflict');
+      html += `<div class="species-check conflict"><strong>${title}</strong>`;
+      html += `<small>Pl@ntNet: ${speciesLabel(check.plantnet)}</small>`;
+      html += `<small>Gemini: ${speciesLabel(check.gemini)}</small></div>`;
+    }
+  }
+
+  if (result.candidates?.length > 1) {
+    html += `<h3>${t('result.candidates')}</h3><ol class="candidate-list">`;
+    result.candidates.forEach((c, idx) => {
+      const selected = isSameSpecies(c.scientific_name, result.best_match?.scientific_name);
+      const score = Math.round((c.confidence || 0) * 100);
+      const taxonomy = [c.genus && t('result.genus', { genus: c.genus }), c.family && t('result.familyShort', { family: c.family })].filter(Boolean).join(' · ');
+      html += `<li class="candidate${selected ? ' selected' : ''}">`;
+      html += `<div class="candidate-head"><div><strong>${escapeHtml(c.common_name || c.scientific_name)}</strong>`;
+      html += `<em>${escapeHtml(c.scientific_name)}</em>`;
+      if (taxonomy) html += `<small>${escapeHtml(taxonomy)}</small>`;
+      html += `</div>${selected ? `<span class="candidate-chosen">${t('result.chosen')}</span>` : `<button class="candidate-pick" data-candidate="${idx}">${t('result.choose')}</button>`}</div>`;
+      html += `<div class="candidate-score"><span style="width: ${score}%"></span></div>`;
+      html += `<small>${score}%${sourceBadge(c.source)}</small>`;
+      if (c.images?.length) {
+        html += `<div class="candidate-images">${c.images.map(src => `<img src="${escapeHtml(src)}" alt="" loading="lazy" referrerpolicy="no-referrer">`).join('')}</div>`;
+      }
+      html += '</li>';
+    });
+    html += '</ol>';
+  }
+
+  if (result.health_assessment) {
+    const h = result.health_assessment;
+    const issues = issuesOf(result);
+    html += `<h3>${t('result.health')}</h3>`;
+    if (h.status) html += `<p>${escapeHtml(h.status)}${sourceBadge(h.source)}</p>`;
+    if (issues.length) {
+      html += '<ul>';
+      issues.forEach(i => {
+        html += `<li><strong>${escapeHtml(i.name)}</strong>`;
+        if (i.likelihood) html += ` (${Math.round(i.likelihood * 100)}%)`;
+        html += sourceBadge(i.source);
+        if (i.safe_actions) html += `<br><small>💡 ${escapeHtml(i.safe_actions)}</small>`;
+        html += '</li>';
+      });
+      html += '</ul>';
+    }
+  }
+
+  if (!result.care_guide && result.best_match?.selected_by_user) {
+    html += `<h3>${t('result.care')}</h3><p class="muted">${escapeHtml(careErrorMessage(result.care_error))}</p>`;
+    html += `<button type="button" class="candidate-pick" data-action="care-retry">${t('result.careRetry')}</button>`;
+  }
+
+  if (result.care_guide) {
+    const c = result.care_guide;
+    html += `<h3>${t('result.care')}${sourceBadge(c.source)}</h3><ul>`;
+    if (c.watering) html += `<li>💧 ${escapeHtml(c.watering)}</li>`;
+    if (c.light) html += `<li>☀️ ${escapeHtml(c.light)}</li>`;
+    if (c.soil) html += `<li>🌱 ${escapeHtml(c.soil)}</li>`;
+    if (c.fertilizing) html += `<li>🧪 ${escapeHtml(c.fertilizing)}</li>`;
+    html += '</ul>';
+  }
+
+  if (result.fun_facts?.length) {
+    html += `<h3>${t('result.funFacts')}</h3><ul>`;
+    result.fun_facts.forEach(f => html += `<li>${escapeHtml(f)}</li>`);
+    html += '</ul>';
+  }
+
+  if (result.ai_model) {
+    html += `<p class="result-model">${escapeHtml(t('result.model', { model: result.ai_model }))}</p>`;
+  }
+
+  resultsDiv.innerHTML = html || `<pre>${escapeHtml(JSON.stringify(result, null, 2))}</pre>`;
+}
+
+// ========== CANDIDATE PICK ==========
+let candidateBusy = false; // A care guide for the picked candidate is on its way
+
+// Write the care guide of lastResult's picked species. When none could be
+// written the reason is kept on the result as `care_error`: { code: 'no_key' },
+// { code: 'cancelled' } or a Gemini failure ({ code, message }).
+async function loadCareGuide() {
+  const apiKey = await getKey();
+  if (!apiKey) {
+    lastResult.care_error = { code: 'no_key' };
+    return;
+  }
+  // Cancellable and time-limited like the analysis' Gemini stage
+  candidateBusy = true;
+  const controller = analysisController = new AbortController();
+  const stage = stageSignal(controller.signal, STAGE_TIMEOUTS.gemini);
+  setLoadingStage('gemini');
+  cancelAnalysisButton.classList.remove('hidden');
+  loadingOverlay.classList.remove('hidden');
+  try {
+    Object.assign(lastResult, await callGeminiCareGuide(apiKey, lastResult.best_match, stage.signal));
+    delete lastResult.care_error;
+  } catch (err) {
+    console.error('[GEMINI SDK] Care guide failed:', err);
+    // A stage timeout aborts the SDK call with its own generic error
+    const failure = stage.signal.aborted ? stage.signal.reason : err;
+    lastResult.care_error = controller.signal.aborted
+      ? { code: 'cancelled' }
+      : { code: geminiErrorCode(failure), message: failure.message };
+  } finally {
+    stage.done();
+    analysisController = null;
+    candidateBusy = false;
+    cancelAnalysisButton.classList.add('hidden');
+    loadingOverlay.classList.add('hidden');
+  }
+}
+
+resultsDiv.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-candidate], button[data-action="care-retry"]');
+  if (!button || !lastResult || candidateBusy) return;
+
+  if (button.dataset.action === 'care-retry') {
+    await loadCareGuide();
+  } else {
+    const { result, needsCareGuide } = selectCandidate(lastResult, Number(button.dataset.candidate));
+    console.log('[RESULT] Candidate chosen:', result.best_match.scientific_name);
+    lastResult = result;
+    delete lastResult.care_error;
+    if (needsCareGuide) await loadCareGuide();
+  }
+
+  displayResult(lastResult);
+  if (lastEntryId != null) {
+    // A shared link still shows the result it was created with
+    const entry = await getHistoryEntry(lastEntryId).catch(() => null);
+    const changes = { result: lastResult };
+    if (entry?.share) changes.share = { ...entry.share, outdated: true };
+    await updateHistoryEntry(lastEntryId, changes);
+  }
+});
+
+// ========== FOLLOW-UP CHAT ==========
+// Multi-turn Gemini chat about lastResult. Each question is sent with the
+// whole transcript, seeded with the scan photos and the result JSON, so a
+// chat reopened from history continues where it left off.
+let chatBusy = false;
+
+function renderChat(pendingQuestion = null, error = null) {
+  const hasResult = lastResult && (lastResult.best_match || lastResult.candidates?.length);
+  chatPanel.classList.toggle('hidden', !hasResult);
+  if (!hasResult) return;
+
+  let html = lastChat.map(message => `
+    <div class="chat-message ${message.role}">${escapeHtml(message.text)}</div>`).join('');
+  if (pendingQuestion) {
+    html += `<div class="chat-message user">${escapeHtml(pendingQuestion)}</div>`;
+    html += `<div class="chat-message model pending">${t('chat.thinking')}</div>`;
+  }
+  if (error) html += `<div class="chat-message error">${escapeHtml(error)}</div>`;
+  chatLog.innerHTML = html || `<p class="chat-hint">${t('chat.hint')}</p>`;
+  chatLog.scrollTop = chatLog.scrollHeight;
+  chatExportOption.classList.toggle('hidden', lastChat.length === 0);
+}
+
+// The result as context for the model, without data it cannot use.
+function chatContext(result) {
+  const { ai_error, care_error, ...rest } = result;
+  return JSON.stringify({
+    ...rest,
+    candidates: (rest.candidates || []).map(({ images, ...candidate }) => candidate)
+  });
+}
+
+// Resolves to `{ value: answer, model }`.
+async function askGemini(apiKey, question) {
+  // The photos open the conversation
+  const imageParts = lastImages.map(({ dataUri }) => ({
+    inlineData: { data: dataUri.split(',')[1], mimeType: dataUri.substring(5, dataUri.indexOf(';')) }
+  }));
+  const history = lastChat.map(message => ({ role: message.role, parts: [{ text: message.text }] }));
+  if (history.length) history[0].parts.unshift(...imageParts);
+
+  const parts = history.length ? [{ text: question }] : [...imageParts, { text: question }];
+
+  const systemInstruction = t('prompt.chat', { result: chatContext(lastResult) });
+  return withGeminiFallback(apiKey, { systemInstruction }, async model => {
+    // startChat keeps (and appends to) the array it is given
+    const result = await model.startChat({ history: [...history] }).sendMessage(parts);
+    return result.response.text();
+  });
+}
+
+chatForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const question = chatInput.value.trim();
+  if (!question || chatBusy || !lastResult) return;
+
+  const apiKey = await getKey();
+  if (!apiKey) {
+    showModal(keyModal);
+    return;
+  }
+
+  chatBusy = true;
+  chatSendButton.disabled = true;
+  chatInput.value = '';
+  renderChat(question);
+  try {
+    const { value: answer, model } = await askGemini(apiKey, question);
+    lastChat.push(
+      { role: 'user', text: question, timestamp: Date.now() },
+      { role: 'model', text: answer, model, timestamp: Date.now() }
+    );
+    renderChat();
+    if (lastEntryId != null) {
+      await updateHistoryEntry(lastEntryId, { chat: lastChat });
+    }
+  } catch (err) {
+    console.error('[CHAT] Failed:', err);
+    chatInput.value = question; // Let the user retry
+    renderChat(null, aiErrorMessage({ code: geminiErrorCode(err), message: err.message }));
+  } finally {
+    chatBusy = false;
+    chatSendButton.disabled = false;
+  }
+});
+
+// ========== INDEXEDDB ==========
+// Schema and openDB() live in db.js.
+async function getKey() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('settings', 'readonly').objectStore('settings').get('geminiKey');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function saveKey(key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('settings', 'readwrite').objectStore('settings').put(key, 'geminiKey');
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getSetting(name) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('settings', 'readonly').objectStore('settings').get(name);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function saveSetting(name, value) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('settings', 'readwrite').objectStore('settings').put(value, name);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function deleteKey() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('settings', 'readwrite').objectStore('settings').delete('geminiKey');
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ========== SESSION STORAGE ==========
+// ========== SESSION STORAGE (IndexedDB) ==========
+async function saveSession() {
+  try {
+    const db = await openDB();
+    const data = { phase, stepIndex, capturedImages, rescanPlantId };
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('session', 'readwrite');
+      const store = tx.objectStore('session');
+      store.put(data, SESSION_ID);
+      tx.oncomplete = () => {
+        console.log('[SESSION] Saved state:', data.phase, data.stepIndex);
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (e) {
+    console.error('[SESSION] Save failed:', e);
+  }
+}
+
+async function loadSession() {
+  try {
+    const db = await openDB();
+    const data = await new Promise((resolve, reject) => {
+      const tx = db.transaction('session', 'readonly');
+      const req = tx.objectStore('session').get(SESSION_ID);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    // Sessions saved before organ tagging stored a counter and bare data URIs
+    if (data && typeof data.imageCounter === 'number') {
+      data.stepIndex = data.imageCounter;
+      data.phase = data.imageCounter >= 3 ? 'processing' : 'capture';
+    }
+
+    // Restore if data exists and is valid
+    if (data && typeof data.stepIndex === 'number') {
+      stepIndex = data.stepIndex;
+      phase = data.phase === 'processing' ? 'processing' : 'capture';
+      capturedImages = (data.capturedImages || []).map(image =>
+        typeof image === 'string' ? { dataUri: image, organ: 'auto' } : image
+      );
+      rescanPlantId = data.rescanPlantId || null;
+      console.log('[SESSION] Restored state:', phase, stepIndex);
+
+      // If we were processing, resume it
+      if (phase === 'processing' && capturedImages.length > 0) {
+        console.log('[SESSION] Resuming processing...');
+        processImages();
+        return true;
+      }
+
+      return true;
+    }
+  } catch (e) {
+    console.error('[SESSION] Load failed:', e);
+  }
+  return false;
+}
+
+async function clearSession() {
+  try {
+    const db = await openDB();
+    const tx = db.transaction('session', 'readwrite');
+    tx.objectStore('session').delete(SESSION_ID);
+    console.log('[SESSION] Cleared');
+  } catch (e) {
+    console.error('[SESSION] Clear failed', e);
+  }
+}
+
+// ========== HISTORY (IndexedDB) ==========
+// Each completed scan is kept as:
+//   { id, timestamp, result, thumbnails: [dataUri], organs: [organ], provider: { identify, ai }, chat, plantId }
+function createThumbnail(dataUri, max = 400) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, max / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    img.onerror = () => resolve(dataUri);
+    img.src = dataUri;
+  });
+}
+
+async function saveToHistory(result, images, provider, timestamp = Date.now()) {
+  try {
+    const thumbnails = await Promise.all(images.map(image => createThumbnail(image.dataUri)));
+    const organs = images.map(image => image.organ);
+    const entry = { timestamp, result, thumbnails, organs, provider };
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction('history', 'readwrite').objectStore('history').add(entry);
+      req.onsuccess = () => {
+        console.log('[HISTORY] Saved scan', req.result);
+        resolve(req.result);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  } catch (e) {
+    console.error('[HISTORY] Save failed:', e);
+  }
+}
+
+async function getHistory() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('history', 'readonly').objectStore('history').index('timestamp').getAll();
+    req.onsuccess = () => resolve(req.result.reverse()); // newest first
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getHistoryEntry(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('history', 'readonly').objectStore('history').get(id);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function updateHistoryEntry(id, changes) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const store = db.transaction('history', 'readwrite').objectStore('history');
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      if (!getReq.result) return resolve();
+      const putReq = store.put({ ...getReq.result, ...changes });
+      putReq.onsuccess = () => resolve();
+      putReq.onerror = () => reject(putReq.error);
+    };
+    getReq.onerror = () => reject(getReq.error);
+  });
+}
+
+async function deleteHistoryEntry(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('history', 'readwrite').objectStore('history').delete(id);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ========== HISTORY VIEW ("My Garden") ==========
+// Lowercase and strip diacritics so "cay" matches "Cây".
+function normalizeSearch(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd').replace(/Đ/g, 'd').toLowerCase();
+}
+
+async function renderHistory() {
+  const query = normalizeSearch(historySearch.value.trim());
+  let entries = [];
+  try {
+    entries = await getHistory();
+  } catch (e) {
+    console.error('[HISTORY] Load failed:', e);
+  }
+  const matches = entries.filter(entry => {
+    if (!query) return true;
+    const b = entry.result?.best_match || {};
+    return normalizeSearch(`${b.common_name} ${b.scientific_name}`).includes(query);
+  });
+
+  updateExportSelected();
+  if (matches.length === 0) {
+    historyList.innerHTML = `<p class="history-empty">${t(entries.length ? 'history.noMatch' : 'history.empty')}</p>`;
+    return;
+  }
+
+  historyList.innerHTML = matches.map(entry => {
+    const b = entry.result?.best_match || {};
+    const name = b.common_name || b.scientific_name || t('history.unknown');
+    const date = new Date(entry.timestamp).toLocaleString(localeTag());
+    const source = [entry.provider?.identify, entry.provider?.ai].filter(Boolean).join(' + ');
+    return `
+      <div class="history-item" data-id="${entry.id}">
+        <input type="checkbox" class="history-select" data-select title="${t('history.select')}"${historySelection.has(entry.id) ? ' checked' : ''}>
+        ${entry.thumbnails?.[0] ? `<img src="${escapeHtml(entry.thumbnails[0])}" alt="">` : '<div class="history-thumb-empty">🌿</div>'}
+        <div class="history-info">
+          <strong>${escapeHtml(name)}</strong>
+          ${b.scientific_name ? `<em>${escapeHtml(b.scientific_name)}</em>` : ''}
+          <small>${escapeHtml(date)}${source ? ` · ${escapeHtml(source)}` : ''}</small>
+        </div>
+        <div class="history-actions">
+          <button data-action="open" title="${t('history.open')}">👁️</button>
+          <button data-action="pdf" title="${t('history.pdf')}">📄</button>
+          <button data-action="delete" title="${t('history.delete')}">🗑️</button>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+// Pair stored thumbnails with their organ tags (absent on older entries).
+function historyImages(entry) {
+  return (entry.thumbnails || []).map((dataUri, i) => ({ dataUri, organ: entry.organs?.[i] || 'auto' }));
+}
+
+// Show a saved scan in the results area as if it had just been analysed.
+function openHistoryEntry(entry) {
+  phase = 'done'; // Scan button becomes "Start New"
+  capturedImages = [];
+  captureQueue.classList.add('hidden');
+  lastResult = entry.result;
+  lastImages = historyImages(entry);
+  lastEntryId = entry.id;
+  lastChat = entry.chat || [];
+  reviewContainer.classList.add('hidden');
+  displayResult(entry.result);
+  exportActions.classList.remove('hidden');
+  renderChat();
+  showDone('history.resultOf', { date: new Date(entry.timestamp).toLocaleString(localeTag()) });
+}
+
+historyList.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const id = Number(button.closest('.history-item').dataset.id);
+  const entry = await getHistoryEntry(id);
+  if (!entry) return;
+
+  switch (button.dataset.action) {
+    case 'open':
+      if (phase === 'capture' && capturedImages.length > 0 && !confirm(t('history.confirmDiscard'))) return;
+      if (phase === 'capture') await clearSession();
+      hideModal(historyModal);
+      openHistoryEntry(entry);
+      break;
+    case 'pdf':
+      await exportReport([{ result: entry.result, images: historyImages(entry), date: new Date(entry.timestamp), chat: entry.chat || [] }]);
+      break;
+    case 'delete':
+      if (!confirm(t('history.confirmDelete'))) return;
+      await deleteHistoryEntry(id);
+      historySelection.delete(id);
+      renderHistory();
+      break;
+  }
+});
+
+// Scans ticked for a combined PDF report, kept while searching
+const historySelection = new Set();
+
+function updateExportSelected() {
+  exportSelectedButton.textContent = t('history.exportSelected', { count: historySelection.size });
+  exportSelectedButton.disabled = historySelection.size === 0;
+}
+
+historyList.addEventListener('change', (e) => {
+  if (!e.target.matches('input[data-select]')) return;
+  const id = Number(e.target.closest('.history-item').dataset.id);
+  if (e.target.checked) historySelection.add(id);
+  else historySelection.delete(id);
+  updateExportSelected();
+});
+
+exportSelectedButton.addEventListener('click', async () => {
+  // Oldest first, like a garden journal
+  const entries = (await getHistory())
+    .filter(entry => historySelection.has(entry.id))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (historyFormatSelect.value !== 'pdf') {
+    exportData(entries, historyFormatSelect.value);
+    return;
+  }
+  await exportReport(entries.map(entry => ({
+    result: entry.result,
+    images: historyImages(entry),
+    date: new Date(entry.timestamp),
+    chat: entry.chat || []
+  })));
+});
+
+historySearch.addEventListener('input', () => renderHistory());
+historyButton.addEventListener('click', () => {
+  historySearch.value = '';
+  historySelection.clear();
+  renderHistory();
+  showModal(historyModal);
+});
+closeHistoryButton.addEventListener('click', () => hideModal(historyModal));
+
+// ========== MODALS ==========
+const showModal = m => m.classList.add('show');
+const hideModal = m => m.classList.remove('show');
+
+async function updateKeyStatus() {
+  const hasKey = Boolean(await getKey());
+  keyStatus.textContent = t(hasKey ? 'settings.keySaved' : serverConfig.geminiProxy ? 'settings.keyServer' : 'settings.keyMissing');
+}
+
+// ========== LOCALE ==========
+function renderLocaleOptions() {
+  localeSelect.innerHTML = Object.entries(LOCALES)
+    .map(([code, { name }]) => `<option value="${code}"${code === getLocale() ? ' selected' : ''}>${name}</option>`)
+    .join('');
+}
+
+// Re-render everything generated from script after the locale changed.
+// Static markup is handled by setLocale() through the data-i18n attributes.
+function refreshLocalizedUI() {
+  updateKeyStatus();
+  if (phase === 'capture') {
+    if (reviewContainer.classList.contains('hidden')) showCurrentStep();
+    else renderOrganPicker();
+  } else if (phase === 'done') {
+    showDone(doneNote.key, doneNote.params);
+  }
+  if (lastResult) {
+    displayResult(lastResult);
+    if (!chatBusy) renderChat();
+  }
+  if (historyModal.classList.contains('show')) renderHistory();
+  if (settingsModal.classList.contains('show')) renderPlantnetSettings();
+}
+
+localeSelect.addEventListener('change', async () => {
+  setLocale(localeSelect.value);
+  await saveSetting('locale', getLocale());
+  console.log('[I18N] Locale set to', getLocale());
+  refreshLocalizedUI();
+});
+
+// ========== APP UPDATE ==========
+// A new service worker waits until the user agrees to reload, so an
+// analysis in progress is never interrupted.
+let waitingWorker = null;
+let reloadOnUpdate = false;
+
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  updateBanner.classList.remove('hidden');
+}
+
+updateReloadButton.addEventListener('click', () => {
+  if (!waitingWorker) return;
+  reloadOnUpdate = true;
+  updateBanner.classList.add('hidden');
+  waitingWorker.postMessage({ type: 'skip-waiting' });
+});
+
+navigator.serviceWorker?.addEventListener('controllerchange', () => {
+  // Only reload when the user asked for it (the first install also claims)
+  if (reloadOnUpdate) window.location.reload();
+});
+
+// ========== INIT ==========
+window.addEventListener('DOMContentLoaded', async () => {
+  // Apply the saved (or browser) locale before anything is rendered
+  setLocale(resolveLocale(await getSetting('locale').catch(() => null)));
+  renderLocaleOptions();
+  // Helper: Nuke old SW if stuck
 
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.getRegistrations().then(regs => {
@@ -510,14 +1968,27 @@ window.addEventListener('DOMContentLoaded', async () => {
         // Unregister old ones if needed, or just let the new one take over via browser reload
         // reg.unregister(); 
       }
-      navigator.serviceWorker.register('service-worker.js').then(reg => {
+      navigator.serviceWorker.addEventListener('message', async (event) => {
+        const msg = event.data || {};
+        if (msg.type === 'pending-updated') {
+          // The service worker finished the /identify stage of queued scans
+          processPendingScans();
+        } else if (msg.type === 'care-updated') {
+          renderCareTasks();
+        } else if (msg.type === 'open-history' && msg.historyId && phase !== 'processing') {
+          const entry = await getHistoryEntry(msg.historyId);
+          if (entry) openHistoryEntry(entry);
+        }
+      });
+      navigator.serviceWorker.register('service-worker.js', { updateViaCache: 'none' }).then(reg => {
+        // A new version installed in an earlier visit is still waiting
+        if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
         reg.onupdatefound = () => {
           const installingWorker = reg.installing;
           installingWorker.onstatechange = () => {
             if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) {
-              // window.logDebug('[SW] New version available. Reloading...');
-              console.log('[SW] New version available. Reloading...');
-              window.location.reload();
+              console.log('[SW] New version available');
+              showUpdatePrompt(installingWorker);
             }
           };
         };
@@ -542,19 +2013,28 @@ window.addEventListener('DOMContentLoaded', async () => {
     installButton.classList.add('hidden');
   });
 
-  if (!(await getKey())) showModal(keyModal);
+  // A key is optional when the server runs Gemini for us
+  await loadServerConfig();
+  if (!(await getKey()) && !serverConfig.geminiProxy) showModal(keyModal);
   updateKeyStatus();
 
   // Try to restore session
   const restored = await loadSession();
   if (!restored) {
-    // Only show step 1 if we didn't restore (or if restored state was < 3, loadSession doesn't auto-show step, so we might need to?)
-    // Actually loadSession handles processImages for >=3. 
-    // We just need to call showCurrentStep for < 3.
+    // Only show step 1 if we didn't restore.
+    // loadSession resumes processing itself; a restored capture just needs the step UI.
     showCurrentStep();
-  } else if (imageCounter < 3) {
+  } else if (phase === 'capture') {
     showCurrentStep();
   }
+
+  // Finish scans that were queued while offline
+  renderPending();
+  processPendingScans();
+
+  renderCareTasks();
+  registerCareReminders();
+  setInterval(registerCareReminders, CARE_CHECK_INTERVAL);
 });
 
 saveKeyButton.addEventListener('click', async () => {
@@ -567,145 +2047,524 @@ saveKeyButton.addEventListener('click', async () => {
   }
 });
 
-settingsButton.addEventListener('click', () => { updateKeyStatus(); showModal(settingsModal); });
+settingsButton.addEventListener('click', () => {
+  updateKeyStatus();
+  renderGeminiSettings();
+  renderPlantnetSettings();
+  showModal(settingsModal);
+});
 closeSettingsButton.addEventListener('click', () => hideModal(settingsModal));
 changeKeyButton.addEventListener('click', () => { hideModal(settingsModal); showModal(keyModal); });
 deleteKeyButton.addEventListener('click', async () => { await deleteKey(); hideModal(settingsModal); showModal(keyModal); });
 
-// ========== EXPORT: PDF ==========
-exportPdfButton.addEventListener('click', () => exportPDF());
+async function renderGeminiSettings() {
+  const settings = await getGeminiSettings();
+  geminiModelsInput.value = settings.models.join('\n');
+  geminiTemperatureInput.value = settings.temperature ?? '';
+  geminiMaxTokensInput.value = settings.maxOutputTokens ?? '';
+}
+
+// Saved on every change, like the language; invalid numbers fall back to the defaults.
+async function saveGeminiSettings() {
+  const models = [...new Set(geminiModelsInput.value.split(/[\n,]/).map(name => name.trim()).filter(Boolean))];
+  const temperature = parseFloat(geminiTemperatureInput.value);
+  const maxOutputTokens = parseInt(geminiMaxTokensInput.value, 10);
+  const settings = {
+    models,
+    temperature: temperature >= 0 && temperature <= 2 ? temperature : null,
+    maxOutputTokens: maxOutputTokens > 0 ? maxOutputTokens : null
+  };
+  await saveSetting('gemini', settings);
+  console.log('[SETTINGS] Gemini settings saved:', settings);
+  renderGeminiSettings();
+}
 
-async function exportPDF() {
+[geminiModelsInput, geminiTemperatureInput, geminiMaxTokensInput].forEach(input => {
+  input.addEventListener('change', saveGeminiSettings);
+});
+
+// ========== CARE SCHEDULES ==========
+// Saved plants get watering, fertilizing and repotting reminders (see
+// care.js). Repotting is edited in months but stored in days like the rest.
+const CARE_SYNC_TAG = 'care-reminders';
+const CARE_CHECK_INTERVAL = 60 * 60 * 1000; // Ask the worker to remind while the app stays open
+const CARE_ICONS = { watering: '💧', fertilizing: '🧪', repotting: '🪴' };
+const DAYS_PER_UNIT = { watering: 1, fertilizing: 1, repotting: 30 };
+let careTarget = null; // { plantId, historyId, scientificName, thumbnail } being edited
+
+function openCareModal(target, name, intervals, hint) {
+  careTarget = target;
+  careNameInput.value = name;
+  CARE_TASKS.forEach(task => {
+    careIntervalInputs[task].value = Math.max(1, Math.round(intervals[task] / DAYS_PER_UNIT[task]));
+  });
+  careHint.textContent = hint;
+  deletePlantButton.classList.toggle('hidden', !target.plantId);
+  careTimelineButton.classList.toggle('hidden', !target.plantId);
+  showModal(careModal);
+}
+
+carePlanButton.addEventListener('click', async () => {
   if (!lastResult) return;
-  const { jsPDF } = window.jspdf;
-  const doc = new jsPDF('p', 'mm', 'a4');
-  const W = 210, H = 297;
-  const M = 15; // margin
-  const CW = W - M * 2; // content width
-  let y = M;
-
-  // -- Helpers --
-  function addText(text, size, style, color, maxW) {
-    doc.setFontSize(size);
-    doc.setFont('helvetica', style);
-    doc.setTextColor(...color);
-    const lines = doc.splitTextToSize(text, maxW || CW);
-    if (y + lines.length * (size * 0.45) > H - M) {
-      doc.addPage();
-      y = M;
+  const entry = lastEntryId != null ? await getHistoryEntry(lastEntryId).catch(() => null) : null;
+  const plant = entry?.plantId ? await getPlant(entry.plantId) : null;
+  if (plant) {
+    const intervals = Object.fromEntries(CARE_TASKS.map(task => [task, plant.tasks[task].intervalDays]));
+    openCareModal({ plantId: plant.id, historyId: entry.id }, plant.name, intervals, '');
+    return;
+  }
+  const b = lastResult.best_match || {};
+  openCareModal(
+    { historyId: entry?.id ?? null, scientificName: b.scientific_name || '', thumbnail: lastImages[0]?.dataUri || '' },
+    b.common_name || b.scientific_name || '',
+    suggestIntervals(lastResult.care_guide),
+    t(lastResult.care_guide?.schedule ? 'care.suggested' : 'care.defaults')
+  );
+});
+
+saveCareButton.addEventListener('click', async () => {
+  const intervals = {};
+  for (const task of CARE_TASKS) {
+    const value = parseInt(careIntervalInputs[task].value, 10);
+    if (!(value > 0)) {
+      careIntervalInputs[task].focus();
+      return;
     }
-    doc.text(lines, M, y);
-    y += lines.length * (size * 0.45) + 2;
-  }
-
-  function addLine() {
-    doc.setDrawColor(200);
-    doc.line(M, y, W - M, y);
-    y += 4;
-  }
-
-  // -- Header --
-  doc.setFillColor(34, 100, 50);
-  doc.rect(0, 0, W, 32, 'F');
-  doc.setFontSize(20);
-  doc.setFont('helvetica', 'bold');
-  doc.setTextColor(255, 255, 255);
-  doc.text('Plant Scanner', M, 15);
-  doc.setFontSize(10);
-  doc.setFont('helvetica', 'normal');
-  doc.setTextColor(200, 230, 200);
-  const now = new Date();
-  doc.text(`Báo cáo phân tích - ${now.toLocaleDateString('vi-VN')} ${now.toLocaleTimeString('vi-VN')}`, M, 23);
-  y = 40;
-
-  // -- Captured Images --
-  if (capturedImages.length > 0) {
-    addText('ẢNH ĐÃ CHỤP', 12, 'bold', [34, 100, 50]);
-    y += 2;
-    const imgW = (CW - 6) / 3; // 3 columns with 3mm gap
-    const imgH = imgW * 1.1;
-    const labels = ['Toàn cảnh', 'Lá khỏe', 'Vùng bệnh'];
-    capturedImages.forEach((dataUri, i) => {
-      const x = M + i * (imgW + 3);
-      try {
-        doc.addImage(dataUri, 'JPEG', x, y, imgW, imgH);
-        doc.setFontSize(7);
-        doc.setFont('helvetica', 'italic');
-        doc.setTextColor(120, 120, 120);
-        doc.text(labels[i] || `Ảnh ${i + 1}`, x + imgW / 2, y + imgH + 4, { align: 'center' });
-      } catch (e) {
-        console.warn('[PDF] Image insert failed:', e);
-      }
+    intervals[task] = value * DAYS_PER_UNIT[task];
+  }
+  const target = careTarget;
+  try {
+    const plant = await savePlant({
+      id: target.plantId,
+      name: careNameInput.value.trim() || target.scientificName || t('history.unknown'),
+      scientificName: target.scientificName,
+      thumbnail: target.thumbnail ? await createThumbnail(target.thumbnail, 160) : undefined,
+      intervals
     });
-    y += imgW * 1.1 + 10;
-    addLine();
-  }
-
-  // -- Plant ID --
-  if (lastResult.best_match) {
-    const b = lastResult.best_match;
-    addText('NHẬN DIỆN CÂY', 12, 'bold', [34, 100, 50]);
-    if (b.common_name) addText(`Tên thông thường: ${b.common_name}`, 11, 'normal', [40, 40, 40]);
-    if (b.scientific_name) addText(`Tên khoa học: ${b.scientific_name}`, 10, 'italic', [90, 90, 90]);
-    if (b.family) addText(`Họ: ${b.family}`, 10, 'normal', [90, 90, 90]);
-    if (b.confidence) addText(`Độ tin cậy: ${Math.round(b.confidence * 100)}%`, 10, 'normal', [90, 90, 90]);
-    y += 2;
-    addLine();
-  }
-
-  // -- Health --
-  if (lastResult.health_assessment) {
-    const h = lastResult.health_assessment;
-    addText('SỨC KHỎE CÂY', 12, 'bold', [34, 100, 50]);
-    if (h.status) addText(h.status, 10, 'normal', [40, 40, 40]);
-    if (h.possible_issues?.length) {
-      h.possible_issues.forEach(issue => {
-        let t = `• ${issue.name}`;
-        if (issue.likelihood) t += ` (${Math.round(issue.likelihood * 100)}%)`;
-        addText(t, 10, 'bold', [60, 60, 60]);
-        if (issue.safe_actions) addText(`  💡 ${issue.safe_actions}`, 9, 'normal', [90, 90, 90]);
+    if (target.historyId != null && !target.plantId) await linkScan(target.historyId, plant.id);
+    console.log('[CARE] Schedule saved for', plant.name);
+  } catch (err) {
+    console.error('[CARE] Save failed:', err);
+    alert(t('care.saveFailed', { message: err.message }));
+    return;
+  }
+  hideModal(careModal);
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().catch(() => {});
+  }
+  registerCareReminders();
+  renderCareTasks();
+  showToast(t('care.saved'));
+});
+
+deletePlantButton.addEventListener('click', async () => {
+  if (!careTarget?.plantId || !confirm(t('care.confirmDelete'))) return;
+  await deletePlant(careTarget.plantId);
+  hideModal(careModal);
+  renderCareTasks();
+});
+
+closeCareButton.addEventListener('click', () => hideModal(careModal));
+
+careTimelineButton.addEventListener('click', () => {
+  hideModal(careModal);
+  openTimeline(careTarget.plantId);
+});
+
+// ========== HEALTH TIMELINE ==========
+// Scans linked to the same plant, compared over time (see timeline.js).
+let linkTargetId = null; // History entry waiting to be linked to a plant
+let timelinePlantId = null;
+let rescanPlantId = null; // Plant the next completed scan is linked to
+
+const TREND_ICONS = { new: '🆕', worsening: '📈', improving: '📉', resolved: '✅', stable: '➖' };
+
+timelineButton.addEventListener('click', async () => {
+  if (!lastResult) return;
+  const entry = lastEntryId != null ? await getHistoryEntry(lastEntryId).catch(() => null) : null;
+  if (!entry) {
+    alert(t('timeline.notSaved'));
+    return;
+  }
+  if (entry.plantId && await getPlant(entry.plantId)) openTimeline(entry.plantId);
+  else openLinkPlant(entry.id);
+});
+
+async function openLinkPlant(historyId) {
+  linkTargetId = historyId;
+  const plants = (await getPlants()).sort((a, b) => a.name.localeCompare(b.name));
+  plantPickList.innerHTML = plants.length
+    ? plants.map(plant => `
+      <button class="plant-pick" data-plant="${escapeHtml(plant.id)}">
+        ${plant.thumbnail ? `<img src="${escapeHtml(plant.thumbnail)}" alt="">` : '<span class="plant-pick-thumb">🪴</span>'}
+        <span><strong>${escapeHtml(plant.name)}</strong><small>${escapeHtml(plant.scientificName || '')}</small></span>
+      </button>`).join('')
+    : `<p class="muted">${t('timeline.noPlants')}</p>`;
+  showModal(linkPlantModal);
+}
+
+plantPickList.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-plant]');
+  if (!button || linkTargetId == null) return;
+  await linkScan(linkTargetId, button.dataset.plant);
+  hideModal(linkPlantModal);
+  openTimeline(button.dataset.plant);
+});
+
+// A new plant is created through its care schedule, which links the scan
+newPlantButton.addEventListener('click', () => {
+  hideModal(linkPlantModal);
+  carePlanButton.click();
+});
+
+closeLinkPlantButton.addEventListener('click', () => hideModal(linkPlantModal));
+
+async function openTimeline(plantId) {
+  const plant = await getPlant(plantId);
+  if (!plant) return;
+  timelinePlantId = plantId;
+  timelineTitle.textContent = t('timeline.title', { name: plant.name });
+  // The scan being analysed would otherwise be linked to this plant
+  rescanPlantButton.disabled = phase === 'processing';
+  rescanPlantButton.title = rescanPlantButton.disabled ? t('timeline.rescanBusy') : '';
+  renderTimeline(buildTimeline(await getPlantScans(plantId)));
+  showModal(timelineModal);
+}
+
+function renderTimeline({ scans, issues }) {
+  const shortDate = timestamp => new Date(timestamp).toLocaleDateString(localeTag());
+  let html = '<div class="timeline-scans">';
+  scans.forEach(scan => {
+    html += `<figure class="timeline-scan">
+      <button data-open="${scan.id}" title="${t('history.open')}">${scan.thumbnail ? `<img src="${escapeHtml(scan.thumbnail)}" alt="">` : '🌿'}</button>
+      <figcaption><strong>${escapeHtml(shortDate(scan.timestamp))}</strong>
+        <small>${escapeHtml(scan.status || t('timeline.noStatus'))}</small>
+        <button class="timeline-unlink" data-unlink="${scan.id}">${t('timeline.unlink')}</button></figcaption>
+    </figure>`;
+  });
+  html += '</div>';
+  if (scans.length < 2) html += `<p class="muted">${t('timeline.rescanHint')}</p>`;
+
+  html += `<h3>${t('result.health')}</h3>`;
+  if (!issues.length) {
+    html += `<p class="muted">${t('timeline.noIssues')}</p>`;
+  } else {
+    if (scans.length > 1) {
+      const counts = ['worsening', 'new', 'improving', 'resolved']
+        .map(trend => [trend, issues.filter(issue => issue.trend === trend).length])
+        .filter(([, count]) => count > 0);
+      html += `<p class="timeline-summary">${counts.map(([trend, count]) =>
+        `<span class="trend trend-${trend}">${TREND_ICONS[trend]} ${t(`timeline.trend.${trend}`)}: ${count}</span>`).join('')}</p>`;
+    }
+    html += '<div class="timeline-table-wrap"><table class="timeline-issues"><thead><tr>';
+    html += `<th>${t('timeline.issue')}</th>${scans.map(scan => `<th>${escapeHtml(shortDate(scan.timestamp))}</th>`).join('')}`;
+    if (scans.length > 1) html += `<th>${t('timeline.trend')}</th>`;
+    html += '</tr></thead><tbody>';
+    issues.forEach(issue => {
+      html += `<tr><td><strong>${escapeHtml(issue.name)}</strong>`;
+      if (issue.treatment && scans.length > 1) html += `<small>💡 ${escapeHtml(issue.treatment)}</small>`;
+      html += '</td>';
+      issue.likelihoods.forEach(likelihood => {
+        html += likelihood == null
+          ? '<td class="muted">–</td>'
+          : `<td><span class="timeline-bar"><span style="width: ${Math.round(likelihood * 100)}%"></span></span>${Math.round(likelihood * 100)}%</td>`;
       });
+      if (scans.length > 1) {
+        html += `<td><span class="trend trend-${issue.trend}">${TREND_ICONS[issue.trend]} ${t(`timeline.trend.${issue.trend}`)}</span></td>`;
+      }
+      html += '</tr>';
+    });
+    html += '</tbody></table></div>';
+  }
+  timelineContent.innerHTML = html;
+}
+
+timelineContent.addEventListener('click', async (e) => {
+  const open = e.target.closest('button[data-open]');
+  const unlink = e.target.closest('button[data-unlink]');
+  if (unlink) {
+    await linkScan(Number(unlink.dataset.unlink), null);
+    openTimeline(timelinePlantId);
+    return;
+  }
+  if (!open || phase === 'processing') return;
+  const entry = await getHistoryEntry(Number(open.dataset.open));
+  if (!entry) return;
+  if (phase === 'capture' && capturedImages.length > 0 && !confirm(t('history.confirmDiscard'))) return;
+  if (phase === 'capture') await clearSession();
+  hideModal(timelineModal);
+  openHistoryEntry(entry);
+});
+
+rescanPlantButton.addEventListener('click', async () => {
+  if (phase === 'processing') return;
+  const plant = await getPlant(timelinePlantId);
+  if (!plant) return;
+  hideModal(timelineModal);
+  if (phase === 'done') scanButton.click(); // Start a new capture
+  rescanPlantId = plant.id; // Saved with the session from the first photo on
+  showToast(t('timeline.rescanStarted', { name: plant.name }));
+});
+
+closeTimelineButton.addEventListener('click', () => hideModal(timelineModal));
+
+async function renderCareTasks() {
+  let tasks = [];
+  try {
+    tasks = dueTasks(await getPlants());
+  } catch (e) {
+    console.error('[CARE] Load failed:', e);
+  }
+  const today = new Date().setHours(0, 0, 0, 0);
+  carePanel.classList.toggle('hidden', tasks.length === 0);
+  careTaskList.innerHTML = tasks.map(({ plant, task, dueAt }) => {
+    const overdueDays = Math.floor((today - new Date(dueAt).setHours(0, 0, 0, 0)) / (24 * 60 * 60 * 1000));
+    const when = overdueDays > 0 ? t('care.overdue', { days: overdueDays }) : t('care.dueToday');
+    return `
+    <div class="care-task" data-id="${escapeHtml(plant.id)}" data-task="${task}">
+      ${plant.thumbnail ? `<img src="${escapeHtml(plant.thumbnail)}" alt="">` : `<span class="care-task-thumb">${CARE_ICONS[task]}</span>`}
+      <button class="care-task-info" data-action="edit" title="${t('care.edit')}">
+        <strong>${CARE_ICONS[task]} ${escapeHtml(t(`care.task.${task}`))} · ${escapeHtml(plant.name)}</strong>
+        <small${overdueDays > 0 ? ' class="overdue"' : ''}>${escapeHtml(when)}</small>
+      </button>
+      <button data-action="done" title="${t('care.markDone')}">✓</button>
+    </div>`;
+  }).join('');
+}
+
+careTaskList.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const item = button.closest('.care-task');
+  if (button.dataset.action === 'done') {
+    await markTaskDone(item.dataset.id, item.dataset.task);
+    renderCareTasks();
+    return;
+  }
+  const plant = await getPlant(item.dataset.id);
+  if (!plant) return;
+  const intervals = Object.fromEntries(CARE_TASKS.map(task => [task, plant.tasks[task].intervalDays]));
+  openCareModal({ plantId: plant.id }, plant.name, intervals, '');
+});
+
+// Reminders come from the service worker: on Periodic Background Sync
+// where available (installed app), and on request while a page is open.
+async function registerCareReminders() {
+  try {
+    const reg = await navigator.serviceWorker?.ready;
+    if (!reg) return;
+    if ('periodicSync' in reg && (await getPlants()).length > 0) {
+      await reg.periodicSync.register(CARE_SYNC_TAG, { minInterval: 12 * 60 * 60 * 1000 });
     }
-    y += 2;
-    addLine();
+    reg.active?.postMessage({ type: 'check-care' });
+  } catch (e) {
+    console.log('[CARE] Periodic Background Sync unavailable:', e.message);
   }
+}
 
-  // -- Care guide --
-  if (lastResult.care_guide) {
-    const c = lastResult.care_guide;
-    addText('HƯỚNG DẪN CHĂM SÓC', 12, 'bold', [34, 100, 50]);
-    if (c.watering) addText(`💧 Tưới nước: ${c.watering}`, 10, 'normal', [40, 40, 40]);
-    if (c.light) addText(`☀️ Ánh sáng: ${c.light}`, 10, 'normal', [40, 40, 40]);
-    if (c.soil) addText(`🌱 Đất: ${c.soil}`, 10, 'normal', [40, 40, 40]);
-    if (c.fertilizing) addText(`🧪 Phân bón: ${c.fertilizing}`, 10, 'normal', [40, 40, 40]);
-    y += 2;
-    addLine();
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') renderCareTasks();
+});
+
+// ========== BACKUP & RESTORE ==========
+backupButton.addEventListener('click', async () => {
+  try {
+    await downloadBackup({ includeKey: backupIncludeKeyInput.checked });
+  } catch (err) {
+    console.error('[BACKUP] Failed:', err);
+    alert(t('backup.failed', { message: err.message }));
   }
+});
+
+restoreButton.addEventListener('click', () => restoreFileInput.click());
 
-  // -- Fun facts --
-  if (lastResult.fun_facts?.length) {
-    addText('THÔNG TIN THÚ VỊ', 12, 'bold', [34, 100, 50]);
-    lastResult.fun_facts.forEach(f => addText(`✨ ${f}`, 10, 'normal', [60, 60, 60]));
+restoreFileInput.addEventListener('change', async () => {
+  const file = restoreFileInput.files[0];
+  restoreFileInput.value = ''; // Let the same file be picked again
+  if (!file) return;
+  const mode = restoreModeSelect.value;
+  try {
+    const backup = parseBackup(await file.text());
+    if (mode === 'replace' && !confirm(t('backup.confirmReplace'))) return;
+    const written = await restoreBackup(backup, { mode });
+    alert(t('backup.restored', { scans: written.history, pending: written.pending }));
+    // Settings, session and history are all read at startup
+    location.reload();
+  } catch (err) {
+    console.error('[BACKUP] Restore failed:', err);
+    alert(err.code ? t(`backup.error.${err.code}`) : t('backup.failed', { message: err.message }));
   }
+});
+
+// ========== PL@NTNET SETTINGS ==========
+// Identification can be restricted to a regional flora (Pl@ntNet
+// "project"), which is more accurate for plants of that region.
+const DEFAULT_PLANTNET_SETTINGS = { project: 'all', noReject: false };
+let plantnetProjects = null; // { lang, projects } from GET /projects
 
-  // -- Footer --
-  const pagesCount = doc.internal.getNumberOfPages();
-  for (let p = 1; p <= pagesCount; p++) {
-    doc.setPage(p);
-    doc.setFontSize(8);
-    doc.setFont('helvetica', 'normal');
-    doc.setTextColor(160, 160, 160);
-    doc.text('Plant Scanner — plant-scanner-one.vercel.app', M, H - 8);
-    doc.text(`Trang ${p}/${pagesCount}`, W - M, H - 8, { align: 'right' });
+async function getPlantnetSettings() {
+  const saved = await getSetting('plantnet').catch(() => null);
+  return { ...DEFAULT_PLANTNET_SETTINGS, ...saved };
+}
+
+async function loadPlantnetProjects() {
+  if (plantnetProjects?.lang === getLocale()) return plantnetProjects.projects;
+  try {
+    const response = await fetch(`/projects?lang=${encodeURIComponent(getLocale())}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { projects } = await response.json();
+    plantnetProjects = { lang: getLocale(), projects };
+    return projects;
+  } catch (e) {
+    console.log('[SETTINGS] Pl@ntNet projects unavailable:', e.message);
+    return [];
   }
+}
+
+async function renderPlantnetSettings() {
+  const settings = await getPlantnetSettings();
+  plantnetNoRejectInput.checked = settings.noReject;
+  const projects = await loadPlantnetProjects();
+  // Keep the saved choice selectable while the list cannot be loaded
+  const options = projects.some(p => p.id === settings.project) ? projects
+    : [...projects, { id: settings.project, title: settings.project }];
+  if (!options.some(p => p.id === 'all')) options.unshift({ id: 'all', title: t('settings.allProjects') });
+  plantnetProjectSelect.innerHTML = options
+    .map(p => `<option value="${escapeHtml(p.id)}"${p.id === settings.project ? ' selected' : ''}>${escapeHtml(p.id === 'all' ? t('settings.allProjects') : p.title || p.id)}</option>`)
+    .join('');
+}
 
-  const plantName = lastResult.best_match?.common_name || lastResult.best_match?.scientific_name || 'PlantScan';
-  doc.save(`${plantName.replace(/[^a-zA-Z0-9À-ỹ\s]/g, '')}_report.pdf`);
+async function savePlantnetSettings() {
+  const settings = { project: plantnetProjectSelect.value || 'all', noReject: plantnetNoRejectInput.checked };
+  await saveSetting('plantnet', settings);
+  console.log('[SETTINGS] Pl@ntNet settings saved:', settings);
 }
 
+[plantnetProjectSelect, plantnetNoRejectInput].forEach(input => {
+  input.addEventListener('change', savePlantnetSettings);
+});
+
+// ========== EXPORT: PDF ==========
+exportPdfButton.addEventListener('click', () => {
+  exportReport([{ result: lastResult, images: lastImages, date: new Date(), chat: chatExportToggle.checked ? lastChat : [] }]);
+});
+
 // ========== EXPORT: IMAGE ==========
 exportImageButton.addEventListener('click', () => exportImage());
 
+// ========== EXPORT: DATA ==========
+exportDataButton.addEventListener('click', () => {
+  const open = exportDataMenu.classList.toggle('hidden') === false;
+  exportDataButton.setAttribute('aria-expanded', String(open));
+});
+
+exportDataMenu.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-format]');
+  if (!button || !lastResult) return;
+  exportDataMenu.classList.add('hidden');
+  exportDataButton.setAttribute('aria-expanded', 'false');
+  // The saved entry carries the id, date and providers; a scan that could
+  // not be saved is exported with what the page still knows.
+  const saved = lastEntryId != null ? await getHistoryEntry(lastEntryId).catch(() => null) : null;
+  const scan = saved || { timestamp: Date.now(), organs: lastImages.map(image => image.organ) };
+  exportData([{ ...scan, result: lastResult, chat: lastChat }], button.dataset.format);
+});
+
+// ========== SHARE LINKS ==========
+// The link of a saved scan is kept with its history entry (`share`), so it
+// is offered again instead of publishing the report twice. Picking another
+// candidate marks it `outdated`; sending it again then publishes the new
+// result and withdraws the old page.
+function closeShareMenu() {
+  shareMenu.classList.add('hidden');
+  shareLinkButton.setAttribute('aria-expanded', 'false');
+}
+
+async function sendShareLink(share) {
+  const name = lastResult.best_match?.common_name || lastResult.best_match?.scientific_name || t('history.unknown');
+  const outcome = await offerLink({ title: t('share.title', { name }), text: t('share.text', { name }), url: share.url });
+  console.log('[SHARE] Link', outcome);
+  if (outcome === 'copied') showToast(t('share.copied'));
+  if (outcome === 'manual') prompt(t('share.copyPrompt'), share.url);
+}
+
+// Publish lastResult (replacing the entry's previous link, if any) and
+// send the new link.
+async function publishShare(entry) {
+  shareLinkButton.disabled = true;
+  try {
+    // Thumbnails are enough for the page and keep the upload small
+    const images = entry
+      ? historyImages(entry)
+      : await Promise.all(lastImages.map(async image => ({ dataUri: await createThumbnail(image.dataUri), organ: image.organ })));
+    const share = await createShare({
+      result: lastResult,
+      images,
+      timestamp: entry?.timestamp ?? Date.now(),
+      lang: getLocale()
+    });
+    if (entry) {
+      await updateHistoryEntry(entry.id, { share });
+      if (isShareActive(entry.share)) {
+        deleteShare(entry.share).catch(err => console.warn('[SHARE] Old link not withdrawn:', err.message));
+      }
+    }
+    await sendShareLink(share);
+  } catch (err) {
+    console.error('[SHARE] Failed:', err);
+    alert(t(`share.error.${err.code || 'failed'}`, { message: err.message }));
+  } finally {
+    shareLinkButton.disabled = false;
+  }
+}
+
+shareLinkButton.addEventListener('click', async () => {
+  if (!lastResult) return;
+  if (!shareMenu.classList.contains('hidden')) {
+    closeShareMenu();
+    return;
+  }
+  const entry = lastEntryId != null ? await getHistoryEntry(lastEntryId).catch(() => null) : null;
+  if (!isShareActive(entry?.share)) {
+    await publishShare(entry);
+    return;
+  }
+  const { expiresAt, outdated } = entry.share;
+  shareExpiry.textContent = [
+    outdated && t('share.outdated'),
+    t('share.expires', { date: new Date(expiresAt).toLocaleDateString(localeTag()) })
+  ].filter(Boolean).join(' ');
+  shareMenu.querySelector('[data-action="share"]').textContent = t(outdated ? 'share.update' : 'share.again');
+  shareMenu.classList.remove('hidden');
+  shareLinkButton.setAttribute('aria-expanded', 'true');
+});
+
+shareMenu.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button || lastEntryId == null) return;
+  const entry = await getHistoryEntry(lastEntryId).catch(() => null);
+  if (!isShareActive(entry?.share)) {
+    closeShareMenu();
+    return;
+  }
+  if (button.dataset.action === 'share') {
+    closeShareMenu();
+    if (entry.share.outdated) await publishShare(entry);
+    else await sendShareLink(entry.share);
+    return;
+  }
+  if (!confirm(t('share.confirmStop'))) return;
+  try {
+    await deleteShare(entry.share);
+    await updateHistoryEntry(entry.id, { share: null });
+    closeShareMenu();
+    showToast(t('share.stopped'));
+  } catch (err) {
+    console.error('[SHARE] Delete failed:', err);
+    alert(t(`share.error.${err.code || 'failed'}`, { message: err.message }));
+  }
+});
+
 async function exportImage() {
   if (!resultsDiv || resultsDiv.classList.contains('hidden')) return;
 
@@ -728,7 +2587,7 @@ async function exportImage() {
     link.click();
   } catch (err) {
     console.error('[EXPORT IMAGE] Error:', err);
-    alert('Không thể tải ảnh. Vui lòng thử lại.');
+    alert(t('export.imageFailed'));
   } finally {
     resultsDiv.style.maxHeight = origMaxH;
     resultsDiv.style.overflow = origOverflow;
@@ -1,30 +1,70 @@
 /*
- * Service worker to enable offline caching for the Plant Scanner PWA.
- * It caches core assets during install and serves them from cache
- * on subsequent requests. When a resource isn't in the cache, it
- * falls back to the network.
+ * Service worker for the Plant Scanner PWA.
+ *
+ * Caching strategy per route:
+ *   - API calls (/identify, /analyze, /config, /share/<id>): network only,
+ *     never cached.
+ *   - App shell (same-origin GET): precached at install from the
+ *     generated, content-hashed precache-manifest.js, then served
+ *     stale-while-revalidate.
+ *   - CDN libraries (jsPDF, html2canvas, Gemini SDK, PDF font): cached at runtime,
+ *     cache-first. Their URLs are version-pinned in index.html, so a
+ *     cached copy never goes stale.
+ *
+ * A new worker waits until the page asks it to take over (see the update
+ * prompt in script.js). It also processes scans queued while offline
+ * through Background Sync and sends care reminders for saved plants.
  */
 
-const CACHE_NAME = 'plant-scanner-cache-v6';
-const ASSETS = [
-  '/',
-  '/index.html',
-  '/style.css',
-  '/script.js',
-  '/manifest.json',
-  '/64.png',
-  '/192.png',
-  '/512.png',
-  '/Frame%2010134.png'
-];
+importScripts('/precache-manifest.js');
+
+const SHELL_CACHE_PREFIX = 'plant-scanner-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + self.PRECACHE_MANIFEST.version;
+const CDN_CACHE = 'plant-scanner-cdn-v1';
+// Cache entry holding the { url: revision } map of a shell cache.
+const REVISIONS_KEY = '/__precache-revisions';
+
+const SHELL_URLS = new Set(self.PRECACHE_MANIFEST.assets.map(asset => asset.url));
+const API_ROUTES = ['/identify', '/diseases', '/analyze', '/config', '/projects', '/share/'];
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'esm.run', 'cdn.jsdelivr.net'];
+
+// Find a copy of `url` at `revision` in the shell cache of an older version.
+async function findPrecached(url, revision) {
+  const names = (await caches.keys()).filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE);
+  for (const name of names) {
+    const cache = await caches.open(name);
+    const revisions = await cache.match(REVISIONS_KEY).then(res => (res ? res.json() : {}));
+    if (revisions[url] === revision) {
+      const response = await cache.match(url);
+      if (response) return response;
+    }
+  }
+  return null;
+}
 
 self.addEventListener('install', (event) => {
-  self.skipWaiting(); // Force activate immediately
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(ASSETS);
-    })
-  );
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const revisions = {};
+    await Promise.all(self.PRECACHE_MANIFEST.assets.map(async ({ url, revision }) => {
+      // Unchanged files are copied over instead of downloaded again
+      let response = await findPrecached(url, revision);
+      if (!response) {
+        response = await fetch(url, { cache: 'reload' });
+        if (!response.ok) throw new Error(`Precache of ${url} failed: ${response.status}`);
+      }
+      await cache.put(url, response);
+      revisions[url] = revision;
+    }));
+    await cache.put(REVISIONS_KEY, new Response(JSON.stringify(revisions), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+    // Pages of the old cache-first worker reload themselves on update and
+    // have no prompt, so take over from it right away.
+    if ((await caches.keys()).some(name => name.startsWith('plant-scanner-cache-v'))) {
+      self.skipWaiting();
+    }
+  })());
 });
 
 self.addEventListener('activate', (event) => {
@@ -34,7 +74,7 @@ self.addEventListener('activate', (event) => {
       caches.keys().then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cache) => {
-            if (cache !== CACHE_NAME) {
+            if (cache !== SHELL_CACHE && cache !== CDN_CACHE) {
               return caches.delete(cache);
             }
           })
@@ -44,10 +84,334 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// The page confirmed the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+  else if (event.data?.type === 'check-care') event.waitUntil(checkCareTasks());
+});
+
+// Shell files are cached by path; query strings only bust the HTTP cache.
+async function staleWhileRevalidate(event, key) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(key);
+  const network = fetch(event.request)
+    .then((response) => {
+      if (response.ok) return cache.put(key, response.clone()).then(() => response);
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Other pages come from the network, with the app shell as offline fallback.
+// Shared report links (/s/<id>) fall back to their own page, which explains
+// that the report needs a connection; index.html's relative asset paths
+// would not resolve under /s/.
+async function networkWithShellFallback(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const shell = new URL(request.url).pathname.startsWith('/s/') ? '/share.html' : '/index.html';
+    const cached = await caches.match(shell, { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CDN_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Classic <script> tags without CORS produce opaque responses
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request).then((cachedResponse) => {
-      return cachedResponse || fetch(event.request);
+  const { request } = event;
+  if (request.method !== 'GET') return; // Uploads always go to the network
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (API_ROUTES.some(route => url.pathname.startsWith(route))) return;
+    if (SHELL_URLS.has(url.pathname)) {
+      event.respondWith(staleWhileRevalidate(event, url.pathname));
+    } else if (request.mode === 'navigate') {
+      event.respondWith(networkWithShellFallback(request));
+    }
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// ========== OFFLINE SCAN QUEUE (Background Sync) ==========
+// Scans captured offline are stored by the page in the `pending` store of
+// plantScannerDB. When connectivity returns the `process-scans` sync runs
+// the /identify stage here; the page then finishes the Gemini analysis
+// (which needs the SDK and the user's key) and moves the scan to history.
+const DB_NAME = 'plantScannerDB';
+const SYNC_TAG = 'process-scans';
+const CLAIM_TIMEOUT = 2 * 60 * 1000; // Same as the page: older claims are abandoned
+
+// Notification text for when no page is open to translate it.
+const READY_MESSAGES = {
+  vi: { title: 'Đã có kết quả nhận diện', body: 'Lượt quét ngoại tuyến: {name}. Chạm để xem.' },
+  en: { title: 'Scan results are ready', body: 'Offline scan: {name}. Tap to view.' }
+};
+
+// Open without a version: the page owns the schema (db.js), the worker never upgrades it.
+// Each pass closes its connection when done, and gives it up at once when
+// a page needs to upgrade the schema meanwhile.
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Claim the first scan waiting for identification, mirroring the page's
+// claimPendingScan so the two never process the same scan.
+function claimNextScan(db) {
+  return new Promise((resolve, reject) => {
+    const store = db.transaction('pending', 'readwrite').objectStore('pending');
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(null);
+      const entry = cursor.value;
+      const abandoned = entry.status === 'identifying' && Date.now() - entry.lockedAt > CLAIM_TIMEOUT;
+      if (entry.status !== 'queued' && !abandoned) return cursor.continue();
+      entry.status = 'identifying';
+      entry.lockedAt = Date.now();
+      cursor.update(entry);
+      resolve(entry);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function dataUriToBlob(dataUri) {
+  const [header, base64] = dataUri.split(',');
+  const mimeType = /^data:([^;]+)/.exec(header)[1];
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  return new Blob([bytes], { type: mimeType });
+}
+
+// Same multipart upload as requestIdentify() in script.js. A 4xx answer
+// will not change on retry and rejects with `permanent` set; a 5xx leaves
+// the scan queued for the next sync.
+async function identifyScan(entry) {
+  const form = new FormData();
+  entry.images.forEach((image, idx) => {
+    form.append('images', dataUriToBlob(image.dataUri), `scan-${idx + 1}.jpg`);
+    form.append('organs', image.organ);
+  });
+  form.append('detectDisease', 'true');
+  form.append('lang', entry.lang);
+  // Scans queued before the project setting existed use the defaults
+  if (entry.plantnet) {
+    form.append('project', entry.plantnet.project);
+    if (entry.plantnet.noReject) form.append('noReject', 'true');
+  }
+  form.append('nbResults', '5'); // CANDIDATE_LIMIT in result.js
+  const response = await fetch('/identify', { method: 'POST', body: form });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const err = new Error(body.error || `Identification failed (HTTP ${response.status})`);
+    err.permanent = response.status < 500;
+    throw err;
+  }
+  return response.json();
+}
+
+async function processQueue() {
+  const db = await openDB();
+  try {
+    await processPending(db);
+  } finally {
+    db.close();
+  }
+}
+
+async function processPending(db) {
+  if (!db.objectStoreNames.contains('pending')) return;
+
+  const identified = [];
+  let failed = false;
+  let entry;
+  while ((entry = await claimNextScan(db))) {
+    let retryLater = false;
+    try {
+      entry.identifyData = await identifyScan(entry);
+      entry.status = 'identified';
+      entry.error = null;
+      identified.push(entry);
+    } catch (err) {
+      entry.error = err.message;
+      if (err.permanent) {
+        entry.status = 'failed'; // The page offers a retry
+        failed = true;
+      } else {
+        entry.status = 'queued';
+        retryLater = true;
+      }
+    }
+    entry.lockedAt = 0;
+    await requestToPromise(db.transaction('pending', 'readwrite').objectStore('pending').put(entry));
+    // Rejecting makes the browser retry the sync later with backoff
+    if (retryLater) throw new Error(`Identification unavailable: ${entry.error}`);
+  }
+
+  if (identified.length > 0) {
+    await announce(db, identified);
+  } else if (failed) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage({ type: 'pending-updated' }));
+  }
+}
+
+async function readLocale(db) {
+  try {
+    return (await requestToPromise(db.transaction('settings', 'readonly').objectStore('settings').get('locale'))) || 'vi';
+  } catch (e) {
+    return 'vi'; // Settings unreadable; keep the default language
+  }
+}
+
+// Hand the scans to an open page, or notify the user if there is none.
+async function announce(db, entries) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage({ type: 'pending-updated' }));
+  // An open page finishes the analysis and notifies with the full result
+  if (windows.length > 0) return;
+  if (self.Notification?.permission !== 'granted') return;
+
+  const messages = READY_MESSAGES[await readLocale(db)] || READY_MESSAGES.vi;
+  entries.forEach(entry => {
+    const top = entry.identifyData?.identify?.results?.[0]?.species;
+    const name = top?.commonNames?.[0] || top?.scientificNameWithoutAuthor || '?';
+    self.registration.showNotification(messages.title, {
+      body: messages.body.replace('{name}', name),
+      icon: '192.png',
+      tag: `pending-${entry.id}`
+    });
+  });
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(processQueue());
+  }
+});
+
+// ========== CARE REMINDERS ==========
+// Plants saved with a care schedule live in the `plants` store (see
+// care.js). Due tasks are checked on Periodic Background Sync where the
+// browser supports it, and whenever an open page asks ('check-care').
+const CARE_SYNC_TAG = 'care-reminders';
+const DAY = 24 * 60 * 60 * 1000;
+
+const CARE_MESSAGES = {
+  vi: { title: 'Đến lúc chăm cây', watering: 'Tưới nước', fertilizing: 'Bón phân', repotting: 'Thay chậu' },
+  en: { title: 'Time to care for your plants', watering: 'Water', fertilizing: 'Fertilize', repotting: 'Repot' }
+};
+
+// Collect the tasks due by the end of today that were not announced yet
+// (same rule as dueTasks() in care.js) and mark them announced.
+function claimDueTasks(db) {
+  const endOfDay = new Date().setHours(23, 59, 59, 999);
+  return new Promise((resolve, reject) => {
+    const due = [];
+    const req = db.transaction('plants', 'readwrite').objectStore('plants').openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(due);
+      const plant = cursor.value;
+      let changed = false;
+      Object.entries(plant.tasks || {}).forEach(([task, state]) => {
+        const dueAt = state.lastDone + state.intervalDays * DAY;
+        if (dueAt > endOfDay || state.notifiedFor === dueAt) return;
+        state.notifiedFor = dueAt;
+        changed = true;
+        due.push({ name: plant.name, task });
+      });
+      if (changed) cursor.update(plant);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function checkCareTasks() {
+  const db = await openDB();
+  try {
+    await remindCareTasks(db);
+  } finally {
+    db.close();
+  }
+}
+
+async function remindCareTasks(db) {
+  if (!db.objectStoreNames.contains('plants')) return;
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage({ type: 'care-updated' }));
+  // A visible page lists today's tasks itself; remind later if still undone
+  if (windows.some(client => client.visibilityState === 'visible')) return;
+  if (self.Notification?.permission !== 'granted') return;
+
+  const due = await claimDueTasks(db);
+  if (due.length === 0) return;
+  const messages = CARE_MESSAGES[await readLocale(db)] || CARE_MESSAGES.vi;
+  const byTask = {};
+  due.forEach(({ name, task }) => (byTask[task] = byTask[task] || []).push(name));
+  const body = Object.entries(byTask)
+    .map(([task, names]) => `${messages[task] || task}: ${names.join(', ')}`)
+    .join('\n');
+  await self.registration.showNotification(messages.title, {
+    body,
+    icon: '192.png',
+    tag: 'care-tasks',
+    data: { care: true }
+  });
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === CARE_SYNC_TAG) {
+    event.waitUntil(checkCareTasks());
+  }
+});
+
+// Focus (or open) the app when a result or care notification is tapped.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const historyId = event.notification.data?.historyId;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const client = windows[0];
+      if (client) {
+        if (historyId) client.postMessage({ type: 'open-history', historyId });
+        if (event.notification.data?.care) client.postMessage({ type: 'care-updated' });
+        return client.focus();
+      }
+      return self.clients.openWindow('/');
     })
   );
-});
\ No newline at end of file
+});
@@ -0,0 +1,89 @@
+/*
+ * Plant Scanner PWA - Shareable result links
+ *
+ * A scan is published to the server (POST /share, see server.js) as a
+ * read-only page at /s/<id>, and the link handed to the Web Share API.
+ * The server answers with a delete token, which the page keeps with the
+ * history entry (`share`) so the link can be withdrawn later.
+ */
+
+/**
+ * Error with a `code` the page translates as share.error.<code>:
+ * 'offline', 'unavailable' (no share route on this server, e.g. a static
+ * host) or 'failed'.
+ */
+export function shareError(code, message) {
+  const err = new Error(message);
+  err.name = 'ShareError';
+  err.code = code;
+  return err;
+}
+
+export function isShareActive(share, now = Date.now()) {
+  return Boolean(share?.url && share.expiresAt > now);
+}
+
+/**
+ * Publish a report `{ result, images: [{ dataUri, organ }], timestamp,
+ * lang }`; images should be thumbnails. Resolves to
+ * `{ id, url, deleteToken, expiresAt }` with an absolute `url`.
+ */
+export async function createShare(report) {
+  let response;
+  try {
+    response = await fetch('/share', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ report })
+    });
+  } catch (err) {
+    throw shareError('offline', err.message);
+  }
+  if (response.status === 404 || response.status === 405) {
+    throw shareError('unavailable', `HTTP ${response.status}`);
+  }
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw shareError('failed', body.error || `HTTP ${response.status}`);
+  return { ...body, url: new URL(body.url, location.origin).href };
+}
+
+// Withdraw a shared report. A link that is already gone counts as deleted.
+export async function deleteShare(share) {
+  let response;
+  try {
+    response = await fetch(`/share/${encodeURIComponent(share.id)}`, {
+      method: 'DELETE',
+      headers: { 'X-Delete-Token': share.deleteToken }
+    });
+  } catch (err) {
+    throw shareError('offline', err.message);
+  }
+  if (!response.ok && response.status !== 404) {
+    const body = await response.json().catch(() => ({}));
+    throw shareError('failed', body.error || `HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Hand a link to the system share sheet, or copy it where there is none.
+ * Resolves to 'shared', 'cancelled', 'copied' or 'manual' (the caller
+ * shows the link to copy by hand). The share sheet needs a recent tap, so
+ * it may refuse after a slow upload; the copy fallback covers that too.
+ */
+export async function offerLink({ title, text, url }) {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text, url });
+      return 'shared';
+    } catch (err) {
+      if (err.name === 'AbortError') return 'cancelled';
+      console.warn('[SHARE] Share sheet failed:', err.name, err.message);
+    }
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    return 'copied';
+  } catch (err) {
+    return 'manual';
+  }
+}
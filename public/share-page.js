@@ -0,0 +1,118 @@
+/*
+ * Plant Scanner PWA - Shared report page
+ *
+ * Script of share.html, the read-only page behind a shared link
+ * (/s/<id>). It loads the report from GET /share/<id> and shows it in the
+ * language it was written in, since the model's text is in that language
+ * too. Nothing here touches the app's local data.
+ */
+
+import { t, localeTag, resolveLocale, setLocale } from './i18n.js';
+import { SOURCE_LABELS, issuesOf } from './result.js';
+
+const statusText = document.getElementById('sharedStatus');
+const photos = document.getElementById('sharedPhotos');
+const report = document.getElementById('sharedReport');
+const meta = document.getElementById('sharedMeta');
+
+const ORGAN_ICONS = { leaf: '🍃', flower: '🌸', fruit: '🍎', bark: '🪵', habit: '🌳' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+const percent = value => Math.round((Number(value) || 0) * 100);
+
+function sourceBadge(source) {
+  return source ? ` <span class="source-badge">${escapeHtml(SOURCE_LABELS[source] || source)}</span>` : '';
+}
+
+function renderReport(result) {
+  let html = '';
+  const b = result.best_match;
+  if (b) {
+    html += `<h3>🌿 ${escapeHtml(b.common_name || b.scientific_name)}</h3>`;
+    html += `<p><em>${escapeHtml(b.scientific_name)}</em>${sourceBadge(b.source)}</p>`;
+    if (b.family) html += `<p>${escapeHtml(t('result.family', { family: b.family }))}</p>`;
+    if (b.confidence) html += `<p>${t('result.confidence', { percent: percent(b.confidence) })}</p>`;
+  }
+
+  const h = result.health_assessment;
+  if (h) {
+    const issues = issuesOf(result);
+    html += `<h3>${t('result.health')}</h3>`;
+    if (h.status) html += `<p>${escapeHtml(h.status)}${sourceBadge(h.source)}</p>`;
+    if (issues.length) {
+      html += '<ul class="shared-issues">';
+      issues.forEach(issue => {
+        html += `<li><strong>${escapeHtml(issue.name)}</strong>`;
+        if (issue.likelihood) {
+          html += ` (${percent(issue.likelihood)}%)<div class="candidate-score"><span style="width: ${percent(issue.likelihood)}%"></span></div>`;
+        }
+        if (issue.safe_actions) html += `<small>💡 ${escapeHtml(issue.safe_actions)}</small>`;
+        html += '</li>';
+      });
+      html += '</ul>';
+    }
+  }
+
+  const c = result.care_guide;
+  if (c) {
+    html += `<h3>${t('result.care')}${sourceBadge(c.source)}</h3><ul>`;
+    if (c.watering) html += `<li>💧 ${escapeHtml(c.watering)}</li>`;
+    if (c.light) html += `<li>☀️ ${escapeHtml(c.light)}</li>`;
+    if (c.soil) html += `<li>🌱 ${escapeHtml(c.soil)}</li>`;
+    if (c.fertilizing) html += `<li>🧪 ${escapeHtml(c.fertilizing)}</li>`;
+    html += '</ul>';
+  }
+
+  if (result.fun_facts?.length) {
+    html += `<h3>${t('result.funFacts')}</h3><ul>`;
+    result.fun_facts.forEach(fact => { html += `<li>${escapeHtml(fact)}</li>`; });
+    html += '</ul>';
+  }
+
+  if (result.ai_model) {
+    html += `<p class="result-model">${escapeHtml(t('result.model', { model: result.ai_model }))}</p>`;
+  }
+  return html || `<p>${t('result.empty')}</p>`;
+}
+
+async function load() {
+  setLocale(resolveLocale(null));
+  const id = decodeURIComponent(location.pathname.split('/').pop());
+  let shared;
+  try {
+    const response = await fetch(`/share/${encodeURIComponent(id)}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    shared = await response.json();
+  } catch (err) {
+    console.warn('[SHARED] Report unavailable:', err.message);
+    statusText.textContent = t(navigator.onLine ? 'shared.notFound' : 'share.error.offline');
+    return;
+  }
+
+  const { result, images = [], timestamp, lang } = shared.report;
+  setLocale(resolveLocale(lang));
+  const name = result.best_match?.common_name || result.best_match?.scientific_name || t('history.unknown');
+  document.title = t('share.title', { name });
+
+  statusText.classList.add('hidden');
+  photos.innerHTML = images.map(image => `
+    <figure>
+      <img src="${escapeHtml(image.dataUri)}" alt="${escapeHtml(t(`organ.${image.organ || 'auto'}`))}">
+      <figcaption>${ORGAN_ICONS[image.organ] || '📷'} ${escapeHtml(t(`organ.${image.organ || 'auto'}`))}</figcaption>
+    </figure>`).join('');
+  photos.classList.toggle('hidden', images.length === 0);
+  report.innerHTML = renderReport(result);
+  report.classList.remove('hidden');
+  meta.textContent = t('shared.meta', {
+    date: new Date(timestamp).toLocaleString(localeTag()),
+    expires: new Date(shared.expiresAt).toLocaleDateString(localeTag())
+  });
+  meta.classList.remove('hidden');
+}
+
+load();
@@ -0,0 +1,80 @@
+/*
+ * Plant Scanner PWA - Health timeline
+ *
+ * Scans linked to the same plant (history entries sharing a `plantId`, see
+ * care.js) are lined up oldest first so the health assessment can be
+ * followed over time: each issue's likelihood per scan, and its trend
+ * between the last two scans it could have appeared in.
+ */
+
+import { issuesOf } from './result.js';
+
+// Change in likelihood below which an issue counts as stable.
+export const TREND_THRESHOLD = 0.1;
+
+// The same issue is named with different case and diacritics from one
+// answer to the next ("Thối rễ" / "thoi re").
+function issueKey(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd').replace(/Đ/g, 'd').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Trend of an issue from its previous likelihood to its latest:
+ * 'new', 'resolved', 'improving', 'worsening' or 'stable'.
+ * `null` means the issue was not reported in that scan.
+ */
+export function issueTrend(previous, latest) {
+  if (previous == null) return latest == null ? 'stable' : 'new';
+  if (latest == null) return 'resolved';
+  if (latest <= previous - TREND_THRESHOLD) return 'improving';
+  if (latest >= previous + TREND_THRESHOLD) return 'worsening';
+  return 'stable';
+}
+
+/**
+ * Build the timeline of a plant from its history entries.
+ * Returns {
+ *   scans: [{ id, timestamp, thumbnail, status }],            // oldest first
+ *   issues: [{ name, likelihoods: [number|null], trend, treatment }]
+ * }
+ * where `likelihoods` follow `scans`, `trend` compares the last two scans
+ * and `treatment` is the latest `safe_actions` given before the last scan,
+ * i.e. what the user may have tried since.
+ */
+export function buildTimeline(entries) {
+  const scans = entries.slice().sort((a, b) => a.timestamp - b.timestamp);
+  const issues = new Map();
+  scans.forEach((entry, index) => {
+    issuesOf(entry.result).forEach(issue => {
+      const key = issueKey(issue.name);
+      if (!key) return;
+      if (!issues.has(key)) {
+        issues.set(key, { name: issue.name, likelihoods: scans.map(() => null), treatments: scans.map(() => null) });
+      }
+      const row = issues.get(key);
+      // A scan listing the same issue twice keeps the higher likelihood
+      row.likelihoods[index] = Math.max(row.likelihoods[index] ?? 0, issue.likelihood ?? 0);
+      row.treatments[index] = issue.safe_actions || row.treatments[index];
+    });
+  });
+
+  const last = scans.length - 1;
+  return {
+    scans: scans.map(entry => ({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      thumbnail: entry.thumbnails?.[0] || '',
+      status: entry.result?.health_assessment?.status || ''
+    })),
+    issues: [...issues.values()]
+      .map(({ name, likelihoods, treatments }) => ({
+        name,
+        likelihoods,
+        trend: last > 0 ? issueTrend(likelihoods[last - 1], likelihoods[last]) : 'new',
+        treatment: treatments.slice(0, Math.max(last, 1)).filter(Boolean).pop() || ''
+      }))
+      // Still present first, most likely first
+      .sort((a, b) => (b.likelihoods[last] ?? -1) - (a.likelihoods[last] ?? -1))
+  };
+}
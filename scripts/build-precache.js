@@ -0,0 +1,75 @@
+/*
+ * Precache manifest generator
+ *
+ * Writes public/precache-manifest.js, the list of app shell files the
+ * service worker installs for offline use. Every entry carries a hash of
+ * the file content, so a new deployment only re-downloads the files that
+ * actually changed and the worker updates whenever any of them does.
+ *
+ * Run after changing anything in public/:
+ *   npm run precache
+ */
+
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const OUTPUT = path.join(PUBLIC_DIR, 'precache-manifest.js');
+
+// The worker itself and its manifest are versioned by the browser.
+const EXCLUDE = new Set(['service-worker.js', 'precache-manifest.js']);
+
+function hash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 10);
+}
+
+async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const rel = prefix + entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), `${rel}/`));
+    } else if (!EXCLUDE.has(rel) && !entry.name.startsWith('.')) {
+      files.push(rel);
+    }
+  }
+  return files.sort();
+}
+
+async function main() {
+  const assets = [];
+  for (const file of await listFiles(PUBLIC_DIR)) {
+    const revision = hash(await fs.readFile(path.join(PUBLIC_DIR, file)));
+    const url = '/' + file.split('/').map(encodeURIComponent).join('/');
+    assets.push({ url, revision });
+    // The start URL serves index.html
+    if (file === 'index.html') assets.unshift({ url: '/', revision });
+  }
+  const version = hash(assets.map(a => `${a.url}@${a.revision}`).join('\n'));
+
+  const source = [
+    '// Generated by scripts/build-precache.js. Do not edit by hand.',
+    `self.PRECACHE_MANIFEST = ${JSON.stringify({ version, assets }, null, 2)};`,
+    ''
+  ].join('\n');
+
+  let previous = null;
+  try {
+    previous = await fs.readFile(OUTPUT, 'utf8');
+  } catch (e) {
+    // First run
+  }
+  if (previous === source) {
+    console.log(`[PRECACHE] Manifest up to date (${version})`);
+    return;
+  }
+  await fs.writeFile(OUTPUT, source);
+  console.log(`[PRECACHE] Wrote ${assets.length} entries (${version})`);
+}
+
+main().catch(err => {
+  console.error('[PRECACHE] Failed:', err);
+  process.exit(1);
+});
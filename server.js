@@ -3,24 +3,61 @@
  *
  * This simple HTTP server performs two tasks:
  *   1. Serves the static front‑end files from the `public/` directory.
- *   2. Provides an API endpoint at `/identify` which accepts a JSON
- *      payload containing base64‑encoded images and optional organ hints.
- *      It uses the Pl@ntNet API to identify the plant species and
- *      optionally detect diseases. The API key for Pl@ntNet must be
- *      supplied via the environment variable `PLANTNET_API_KEY`.
+ *   2. Provides an API endpoint at `/identify` which accepts images
+ *      either as a multipart/form-data upload or as a JSON payload of
+ *      base64‑encoded data URIs, together with optional organ hints.
+ *      It forwards the images to the configured identification providers
+ *      (Pl@ntNet by default, see lib/providers) to identify the plant
+ *      species and optionally detect diseases. The API key for Pl@ntNet
+ *      must be supplied via the environment variable `PLANTNET_API_KEY`.
  *
  * For security reasons the user's Gemini API key is never sent to this
- * server. All Gemini calls are made directly from the client.
+ * server. Gemini calls are made directly from the client, unless the
+ * optional server mode is enabled with GEMINI_API_KEY: `/analyze` then
+ * runs the analysis with the server's key and streams it back as
+ * Server-Sent Events (see lib/gemini).
+ *
+ * Results can also be shared as links: `/share` stores a report (the
+ * result and its thumbnails) and `/s/<id>` shows it read-only until it
+ * expires or is deleted (see lib/shares).
  */
 
 const http = require('http');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs/promises');
+const { loadProviders, runChain } = require('./lib/providers');
+const { createCache } = require('./lib/cache');
+const { parseMultipart, getBoundary, httpError } = require('./lib/multipart');
+const { loadGeminiProxy, geminiErrorCode } = require('./lib/gemini');
+const { createShareStore, isShareId } = require('./lib/shares');
+
+// Identification backends, in the order they are tried. Configured via
+// IDENTIFY_PROVIDERS (see lib/providers). If Pl@ntNet has no API key the
+// server still starts; identification then fails and the front‑end
+// operates in fallback mode using Gemini only.
+const providers = loadProviders();
+
+// Server-side Gemini analysis, or null when GEMINI_API_KEY is not set and
+// clients call Gemini with their own key.
+const gemini = loadGeminiProxy();
 
-// Grab the API key from the environment. If not set the server will
-// still start but calls to Pl@ntNet will fail. This allows the front‑end
-// to operate in fallback mode using Gemini only.
-const PLANTNET_API_KEY = process.env.PLANTNET_API_KEY || '';
+// Identical /identify requests are answered from this cache instead of
+// spending Pl@ntNet quota again. IDENTIFY_CACHE_MAX=0 disables it;
+// IDENTIFY_CACHE_FILE additionally persists it across restarts.
+const identifyCache = createCache({
+  maxEntries: Number(process.env.IDENTIFY_CACHE_MAX ?? 200),
+  ttlMs: Number(process.env.IDENTIFY_CACHE_TTL || 6 * 60 * 60) * 1000,
+  file: process.env.IDENTIFY_CACHE_FILE || null
+});
+
+// Reports shared as links, one JSON file each. SHARE_TTL_DAYS is how long
+// they are kept at most; the client may ask for less.
+const SHARE_TTL_DAYS = Number(process.env.SHARE_TTL_DAYS || 30);
+const shares = createShareStore({
+  dir: process.env.SHARE_DIR || path.join(__dirname, 'data', 'shares'),
+  ttlMs: SHARE_TTL_DAYS * 24 * 60 * 60 * 1000
+});
 
 // Port for the HTTP server; defaults to 3000.
 const PORT = process.env.PORT || 3000;
@@ -33,6 +70,7 @@ const PUBLIC_DIR = path.join(__dirname, 'public');
 const MIME_TYPES = {
   '.html': 'text/html; charset=UTF-8',
   '.js': 'text/javascript; charset=UTF-8',
+  '.mjs': 'text/javascript; charset=UTF-8',
   '.css': 'text/css; charset=UTF-8',
   '.json': 'application/json; charset=UTF-8',
   '.png': 'image/png',
@@ -75,116 +113,582 @@ async function serveStaticFile(req, res) {
   }
 }
 
+// Pl@ntNet accepts at most 5 images, each tagged with one of these organs.
+// Same list as ORGANS in script.js: every one needs an `organ.*` label in
+// the locales, since shared pages and prompts show it.
+const MAX_IMAGES = 5;
+const VALID_ORGANS = ['auto', 'leaf', 'flower', 'fruit', 'bark', 'habit'];
+
+// Upload limits for /identify. JSON bodies carry the images base64
+// encoded, which inflates them by a third.
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+const MAX_JSON_BYTES = Math.ceil(MAX_IMAGES * MAX_IMAGE_BYTES * 4 / 3) + 64 * 1024;
+
+// Pl@ntNet project (flora) queried when the client names none. Project ids
+// are short slugs such as "weurope" or "k-indo-china".
+const DEFAULT_PROJECT = 'all';
+const PROJECT_ID = /^[a-z0-9-]{1,64}$/i;
+// Upper bound for the nbResults option.
+const MAX_RESULTS = 50;
+
 /**
- * Decode a data URI into a Blob. The input must be a string of the form
+ * Detect the image type from its magic bytes. Only formats Pl@ntNet
+ * accepts are recognised; anything else returns null.
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  return null;
+}
+
+/**
+ * Decode a data URI into an image. The input must be a string of the form
  * 'data:<mimeType>;base64,<base64Data>'. Returns an object with a
- * Buffer and mimeType.
+ * Buffer and the mimeType detected from its content.
  */
 function decodeDataUri(dataUri) {
   const match = /^data:(.+);base64,(.*)$/i.exec(dataUri);
   if (!match) {
-    throw new Error('Invalid data URI');
+    throw httpError(400, 'Invalid data URI');
+  }
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw httpError(413, `Image exceeds ${MAX_IMAGE_BYTES} bytes`);
+  }
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) {
+    throw httpError(415, 'Unsupported image type');
+  }
+  return { buffer, mimeType };
+}
+
+/**
+ * Read and parse a JSON request body, rejecting with 413 as soon as it
+ * grows past `limit` bytes and with 400 unless it is a JSON object.
+ */
+function readJsonBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    function onData(chunk) {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeListener('data', onData);
+        req.removeListener('end', onEnd);
+        reject(httpError(413, 'Payload too large'));
+        return;
+      }
+      chunks.push(chunk);
+    }
+    function onEnd() {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      } catch (err) {
+        reject(httpError(400, 'Invalid JSON body'));
+        return;
+      }
+      // null, arrays and bare values would fail on the first property access
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(httpError(400, 'Invalid JSON body'));
+        return;
+      }
+      resolve(body);
+    }
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read an /identify or /analyze payload from either request format into
+ * `{ images: [{ buffer, mimeType }], organs, lang, detectDisease, project,
+ * options }`.
+ *
+ * multipart/form-data fields:
+ *  - images: one file part per image (JPEG or PNG)
+ *  - organs: (optional) repeated, one organ per image in the same order
+ *  - detectDisease: (optional) "true" to call the diseases API
+ *  - lang: (optional) language code for localisation
+ *  - project: (optional) Pl@ntNet project (flora) id, default "all"
+ *  - includeRelatedImages: (optional) "false" to skip reference images
+ *  - nbResults: (optional) maximum number of species returned
+ *  - noReject: (optional) "true" to get species even for non-plant photos
+ */
+async function readImagePayload(req) {
+  if (getBoundary(req.headers['content-type'])) {
+    const { fields, files } = await parseMultipart(req, {
+      maxFiles: MAX_IMAGES,
+      maxFileSize: MAX_IMAGE_BYTES,
+      detectType: detectImageType
+    });
+    const stray = files.find(file => file.name !== 'images');
+    if (stray) {
+      throw httpError(400, `Unexpected file field "${stray.name}"`);
+    }
+    return {
+      images: files.map(({ buffer, mimeType }) => ({ buffer, mimeType })),
+      organs: fields.organs || [],
+      lang: fields.lang?.[0],
+      detectDisease: fields.detectDisease?.[0] === 'true',
+      project: fields.project?.[0],
+      options: {
+        includeRelatedImages: fields.includeRelatedImages?.[0] !== 'false',
+        nbResults: fields.nbResults?.[0],
+        noReject: fields.noReject?.[0] === 'true'
+      }
+    };
+  }
+
+  const payload = await readJsonBody(req, MAX_JSON_BYTES);
+  const images = Array.isArray(payload.images) ? payload.images : [];
+  if (images.length > MAX_IMAGES) {
+    throw httpError(413, `At most ${MAX_IMAGES} images are allowed`);
+  }
+  return {
+    images: images.map(decodeDataUri),
+    organs: Array.isArray(payload.organs) ? payload.organs : [],
+    lang: payload.lang,
+    detectDisease: Boolean(payload.detectDisease),
+    project: payload.project,
+    options: {
+      includeRelatedImages: payload.includeRelatedImages !== false,
+      nbResults: payload.nbResults,
+      noReject: Boolean(payload.noReject)
+    }
+  };
+}
+
+/**
+ * Read and validate the images of a request. On failure the error has
+ * already been sent and null is returned.
+ */
+async function readValidImages(req, res) {
+  try {
+    const payload = await readImagePayload(req);
+    if (payload.images.length === 0) {
+      throw httpError(400, 'No images provided');
+    }
+    const badOrgan = payload.organs.find(organ => !VALID_ORGANS.includes(organ));
+    if (badOrgan !== undefined) {
+      throw httpError(400, `Invalid organ "${badOrgan}"`);
+    }
+    if (payload.project != null && !PROJECT_ID.test(payload.project)) {
+      throw httpError(400, `Invalid project "${payload.project}"`);
+    }
+    const { nbResults } = payload.options;
+    if (nbResults != null && nbResults !== '') {
+      const count = Number(nbResults);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_RESULTS) {
+        throw httpError(400, `nbResults must be an integer from 1 to ${MAX_RESULTS}`);
+      }
+      payload.options.nbResults = count;
+    } else {
+      payload.options.nbResults = null;
+    }
+    return payload;
+  } catch (err) {
+    // The rest of an abandoned upload is not read; drop the connection
+    // once the error has been sent.
+    const headers = { 'Content-Type': 'application/json' };
+    if (!req.complete) headers.Connection = 'close';
+    res.writeHead(err.status || 400, headers);
+    res.end(JSON.stringify({ error: err.message }));
+    return null;
   }
-  const mimeType = match[1];
-  const data = Buffer.from(match[2], 'base64');
-  return { buffer: data, mimeType };
+}
+
+
+/**
+ * Derive the cache key of an identification request from the decoded
+ * image bytes and every option that changes the upstream answer.
+ * `detectDisease` is a boolean for /identify and "only" for /diseases.
+ */
+function identifyCacheKey(request, detectDisease) {
+  const hash = crypto.createHash('sha256');
+  request.images.forEach(({ buffer, mimeType }) => {
+    hash.update(mimeType);
+    hash.update(buffer);
+  });
+  hash.update(JSON.stringify({
+    organs: request.organs,
+    lang: request.lang || '',
+    project: request.project,
+    options: request.options,
+    detectDisease: detectDisease === 'only' ? detectDisease : Boolean(detectDisease)
+  }));
+  return hash.digest('hex');
 }
 
 /**
- * Build a FormData object from images and associated organs. Uses the
- * global FormData, Blob and File classes provided by node 18+.
+ * Abort signal that fires when the client closes the connection before the
+ * response was sent, so upstream work nobody will read is cancelled.
  */
-function buildFormData(images, organs) {
-  const form = new FormData();
-  images.forEach((dataUri, idx) => {
-    const { buffer, mimeType } = decodeDataUri(dataUri);
-    const fileExt = mimeType.split('/')[1] || 'jpg';
-    const blob = new Blob([buffer], { type: mimeType });
-    // Provide a filename so that downstream services can infer type
-    form.append('images', blob, `image${idx}.${fileExt}`);
-    const organValue = Array.isArray(organs) && organs[idx] ? organs[idx] : 'auto';
-    form.append('organs', organValue);
+function clientGoneSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort(new Error('Client closed the connection'));
   });
-  return form;
+  return controller.signal;
+}
+
+// Provider request for a validated /identify or /diseases payload.
+function providerRequest(payload, signal) {
+  return {
+    images: payload.images,
+    organs: payload.images.map((_, idx) => payload.organs[idx] || 'auto'),
+    lang: payload.lang,
+    project: payload.project || DEFAULT_PROJECT,
+    options: payload.options,
+    signal
+  };
 }
 
 /**
- * Handle POST /identify API calls. Expects JSON with fields:
+ * Handle POST /identify API calls. Accepts multipart/form-data (see
+ * readImagePayload) or JSON with fields:
  *  - images: Array of data URI strings (base64 encoded)
- *  - organs: (optional) array of strings describing the organ for each image
+ *  - organs: (optional) array with one organ per image, from VALID_ORGANS
  *  - detectDisease: (optional boolean) whether to call the diseases API
  *  - lang: (optional) language code for localisation
+ *  - project, includeRelatedImages, nbResults, noReject: (optional)
+ *    Pl@ntNet query options, as in the multipart form
+ *
+ * Oversized uploads are answered with 413 and unsupported images with 415
+ * as soon as they are detected, without reading the rest of the body.
+ *
+ * The configured providers are tried in order (see lib/providers). The
+ * response carries the name of the provider that answered each call and
+ * `cached: true` when it was served from identifyCache.
  */
 async function handleIdentify(req, res) {
-  // Accumulate the request body
-  let body = '';
-  req.on('data', chunk => {
-    body += chunk;
-    // Protect against large payloads
-    if (body.length > 1e7) {
-      res.writeHead(413, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Payload too large' }));
-      req.socket.destroy();
+  const payload = await readValidImages(req, res);
+  if (!payload) return;
+
+  const signal = clientGoneSignal(res);
+  try {
+    const request = providerRequest(payload, signal);
+    const cacheKey = identifyCacheKey(request, payload.detectDisease);
+    const cachedResponse = await identifyCache.get(cacheKey);
+    if (cachedResponse) {
+      console.log('[CACHE] Hit', cacheKey.slice(0, 12));
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-Cache': 'HIT' });
+      res.end(JSON.stringify({ ...cachedResponse, cached: true }));
+      return;
     }
-  });
-  req.on('end', async () => {
+
+    // Species identification
+    let identifyResult;
+    let identifyProvider = null;
     try {
-      const payload = JSON.parse(body || '{}');
-      const images = Array.isArray(payload.images) ? payload.images : [];
-      if (images.length === 0) {
-        throw new Error('No images provided');
-      }
+      const answer = await runChain(providers, 'identify', request);
+      identifyResult = answer.result;
+      identifyProvider = answer.provider;
+    } catch (err) {
+      identifyResult = { error: 'Identify call failed', details: err.message };
+    }
 
-      // Build form data for Pl@ntNet identify API
-      const organs = Array.isArray(payload.organs) ? payload.organs : [];
-      const formIdentify = buildFormData(images, organs);
-      // Append language if provided
-      if (payload.lang) {
-        formIdentify.append('lang', payload.lang);
+    // Optionally detect diseases
+    let diseasesResult = null;
+    let diseasesProvider = null;
+    if (payload.detectDisease) {
+      try {
+        const answer = await runChain(providers, 'diseases', request);
+        diseasesResult = answer.result;
+        diseasesProvider = answer.provider;
+      } catch (err) {
+        diseasesResult = { error: 'Diseases call failed', details: err.message };
       }
+    }
+
+    const response = {
+      identify: identifyResult,
+      diseases: diseasesResult,
+      providers: { identify: identifyProvider, diseases: diseasesProvider }
+    };
+    // Only successful answers are worth replaying
+    if (identifyProvider && (!payload.detectDisease || diseasesProvider)) {
+      await identifyCache.set(cacheKey, response);
+    }
+
+    if (signal.aborted) return;
+    res.writeHead(200, { 'Content-Type': 'application/json', 'X-Cache': 'MISS' });
+    res.end(JSON.stringify({ ...response, cached: false }));
+  } catch (err) {
+    if (signal.aborted) return;
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+  }
+}
 
-      // Compose the identify URL. Default project is 'all'.
-      const identifyUrl = `https://my-api.plantnet.org/v2/identify/all?api-key=${encodeURIComponent(PLANTNET_API_KEY)}`;
+/**
+ * Handle POST /diseases: the disease check on its own, for clients that
+ * run it as a separate stage after /identify (which then omits
+ * detectDisease). Takes the same payload as /identify and answers
+ * `{ diseases, providers: { diseases }, cached }`.
+ */
+async function handleDiseases(req, res) {
+  const payload = await readValidImages(req, res);
+  if (!payload) return;
 
-      // Call Pl@ntNet identify API
-      let identifyResult;
+  const signal = clientGoneSignal(res);
+  try {
+    const request = providerRequest(payload, signal);
+    const cacheKey = identifyCacheKey(request, 'only');
+    const cachedResponse = await identifyCache.get(cacheKey);
+    if (cachedResponse) {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-Cache': 'HIT' });
+      res.end(JSON.stringify({ ...cachedResponse, cached: true }));
+      return;
+    }
+
+    let response;
+    try {
+      const answer = await runChain(providers, 'diseases', request);
+      response = { diseases: answer.result, providers: { diseases: answer.provider } };
+      await identifyCache.set(cacheKey, response);
+    } catch (err) {
+      response = { diseases: { error: 'Diseases call failed', details: err.message }, providers: { diseases: null } };
+    }
+
+    if (signal.aborted) return;
+    res.writeHead(200, { 'Content-Type': 'application/json', 'X-Cache': 'MISS' });
+    res.end(JSON.stringify({ ...response, cached: false }));
+  } catch (err) {
+    if (signal.aborted) return;
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+  }
+}
+
+// Time the whole server-side analysis may take, repairs and fallbacks included.
+const ANALYZE_TIMEOUT_MS = Number(process.env.GEMINI_TIMEOUT || 120) * 1000;
+
+/**
+ * Handle POST /analyze: the Gemini analysis in server mode. Takes the same
+ * images, organs and `lang` as /identify; the prompt is built by
+ * lib/gemini.js, never taken from the client. Streams Server-Sent Events:
+ *   model  { model }         a model starts; discard any partial text
+ *   delta  { text }          next piece of the JSON answer
+ *   retry  { errors }        the answer was invalid; discard, a repair follows
+ *   done   { model, result } validated analysis
+ *   error  { code, message } failure, `code` matches the client's ai.error.*
+ */
+async function handleAnalyze(req, res) {
+  if (!gemini) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Server-side Gemini is not enabled' }));
+    return;
+  }
+  const payload = await readValidImages(req, res);
+  if (!payload) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=UTF-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let proxies hold the stream back
+  });
+  const send = (event, data) => res.write(`event: ${event}
+data: ${JSON.stringify(data)}
+
+`);
+
+  // Stop paying for tokens nobody will read, or after the time limit
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const timer = setTimeout(() => {
+    const err = new Error(`The analysis took longer than ${ANALYZE_TIMEOUT_MS / 1000} s`);
+    err.code = 'timeout';
+    controller.abort(err);
+  }, ANALYZE_TIMEOUT_MS);
+
+  try {
+    const { model, result } = await gemini.analyze(payload, {
+      onModel: name => send('model', { model: name }),
+      onText: text => send('delta', { text }),
+      onRetry: errors => send('retry', { errors }),
+      signal: controller.signal
+    });
+    send('done', { model, result });
+  } catch (err) {
+    if (res.destroyed) return;
+    const failure = controller.signal.aborted ? controller.signal.reason : err;
+    console.error('[GEMINI] Analysis failed:', failure.message);
+    send('error', { code: geminiErrorCode(failure), message: failure.message });
+  } finally {
+    clearTimeout(timer);
+  }
+  res.end();
+}
+
+// Bundled snapshot of the project list, served when no provider can
+// answer (no key, offline development).
+const PROJECTS_FIXTURE = path.join(__dirname, 'fixtures', 'projects.json');
+
+// The project list changes rarely; keep each language's copy for a day.
+const projectsCache = createCache({ maxEntries: 20, ttlMs: 24 * 60 * 60 * 1000 });
+
+/**
+ * Handle GET /projects?lang=: the Pl@ntNet projects (regional floras) the
+ * client can restrict identification to, as `{ projects, provider }`.
+ * `provider` is null when the bundled fixture was served.
+ */
+async function handleProjects(req, res, urlObj) {
+  const lang = urlObj.searchParams.get('lang') || '';
+  try {
+    let response = await projectsCache.get(lang);
+    if (!response) {
       try {
-        const identifyResponse = await fetch(identifyUrl, {
-          method: 'POST',
-          body: formIdentify
-        });
-        identifyResult = await identifyResponse.json();
+        const answer = await runChain(providers, 'projects', { lang });
+        if (!Array.isArray(answer.result)) throw new Error('Unexpected project list');
+        response = { projects: answer.result, provider: answer.provider };
+        await projectsCache.set(lang, response);
       } catch (err) {
-        identifyResult = { error: 'Identify call failed', details: err.message };
+        console.warn('[PROJECTS] Falling back to the bundled list:', err.message);
+        response = { projects: JSON.parse(await fs.readFile(PROJECTS_FIXTURE, 'utf8')), provider: null };
       }
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+  }
+}
 
-      // Optionally call diseases API
-      let diseasesResult = null;
-      if (payload.detectDisease) {
-        // Build a new form for diseases (organs can all be 'auto' for diseases)
-        const formDisease = buildFormData(images, organs);
-        if (payload.lang) {
-          formDisease.append('lang', payload.lang);
-        }
-        const diseaseUrl = `https://my-api.plantnet.org/v2/diseases/identify?api-key=${encodeURIComponent(PLANTNET_API_KEY)}`;
-        try {
-          const diseaseResponse = await fetch(diseaseUrl, {
-            method: 'POST',
-            body: formDisease
-          });
-          diseasesResult = await diseaseResponse.json();
-        } catch (err) {
-          diseasesResult = { error: 'Diseases call failed', details: err.message };
-        }
-      }
+// Shared reports carry thumbnails, not the full photos.
+const MAX_SHARE_BYTES = 2 * 1024 * 1024;
+const MAX_LANG_LENGTH = 10;
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ identify: identifyResult, diseases: diseasesResult }));
-    } catch (err) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: err.message }));
+/**
+ * Check a POST /share body and return the report to store. Thumbnails
+ * are re-encoded from their decoded bytes, so only JPEG or PNG data URIs
+ * end up in the page.
+ */
+function validateShare(payload) {
+  const report = payload.report;
+  if (!report || typeof report !== 'object' || !report.result || typeof report.result !== 'object' || Array.isArray(report.result)) {
+    throw httpError(400, 'A report with a result object is required');
+  }
+  const images = Array.isArray(report.images) ? report.images : [];
+  if (images.length > MAX_IMAGES) {
+    throw httpError(413, `At most ${MAX_IMAGES} images are allowed`);
+  }
+  const lang = typeof report.lang === 'string' ? report.lang.slice(0, MAX_LANG_LENGTH) : null;
+  const days = payload.expiresInDays ?? SHARE_TTL_DAYS;
+  if (!Number.isInteger(days) || days < 1 || days > SHARE_TTL_DAYS) {
+    throw httpError(400, `expiresInDays must be an integer from 1 to ${SHARE_TTL_DAYS}`);
+  }
+  return {
+    report: {
+      result: report.result,
+      images: images.map(image => {
+        const { buffer, mimeType } = decodeDataUri(String(image?.dataUri || ''));
+        const organ = VALID_ORGANS.includes(image?.organ) ? image.organ : 'auto';
+        return { dataUri: `data:${mimeType};base64,${buffer.toString('base64')}`, organ };
+      }),
+      timestamp: Number.isFinite(report.timestamp) ? report.timestamp : Date.now(),
+      lang
+    },
+    lifetimeMs: days * 24 * 60 * 60 * 1000
+  };
+}
+
+/**
+ * Handle POST /share: store `{ report: { result, images: [{ dataUri,
+ * organ }], timestamp, lang }, expiresInDays }` and answer 201 with
+ * `{ id, url, deleteToken, expiresAt }`. The delete token is only ever
+ * returned here.
+ */
+async function handleShareCreate(req, res) {
+  try {
+    const { report, lifetimeMs } = validateShare(await readJsonBody(req, MAX_SHARE_BYTES));
+    const { id, deleteToken, expiresAt } = await shares.create(report, lifetimeMs);
+    console.log('[SHARE] Created', id, 'until', new Date(expiresAt).toISOString());
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ id, url: `/s/${id}`, deleteToken, expiresAt }));
+  } catch (err) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (!req.complete) headers.Connection = 'close';
+    res.writeHead(err.status || 500, headers);
+    res.end(JSON.stringify({ error: err.message }));
+  }
+}
+
+/**
+ * Handle GET /share/<id>: the shared report as
+ * `{ report, createdAt, expiresAt }`, 404 once deleted or expired.
+ */
+async function handleShareGet(req, res, id) {
+  try {
+    const shared = await shares.get(id);
+    if (!shared) {
+      res.writeHead(404, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify({ error: 'Shared report not found or expired' }));
+      return;
     }
-  });
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    res.end(JSON.stringify(shared));
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+  }
+}
+
+/**
+ * Handle DELETE /share/<id> with the delete token in X-Delete-Token:
+ * 204 when deleted, 403 for a wrong token, 404 when already gone.
+ */
+async function handleShareDelete(req, res, id) {
+  try {
+    const outcome = await shares.remove(id, req.headers['x-delete-token']);
+    const status = { deleted: 204, forbidden: 403, missing: 404 }[outcome];
+    if (outcome === 'deleted') console.log('[SHARE] Deleted', id);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(status === 204 ? undefined : JSON.stringify({ error: outcome === 'forbidden' ? 'Invalid delete token' : 'Shared report not found' }));
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+  }
+}
+
+/**
+ * Handle GET /s/<id>: the read-only report page. It loads the report
+ * itself from /share/<id>; the link is kept out of Referer headers and
+ * search engines.
+ */
+async function handleSharePage(req, res) {
+  try {
+    const html = await fs.readFile(path.join(PUBLIC_DIR, 'share.html'));
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES['.html'],
+      'Referrer-Policy': 'no-referrer',
+      'X-Robots-Tag': 'noindex'
+    });
+    res.end(html);
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'text/plain; charset=UTF-8' });
+    res.end('Share page unavailable');
+  }
+}
+
+/**
+ * Handle GET /config: the optional server features the client can use.
+ */
+function handleConfig(req, res) {
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify({
+    geminiProxy: Boolean(gemini),
+    geminiModels: gemini ? gemini.models : []
+  }));
 }
 
 // Create and start the HTTP server
@@ -195,6 +699,34 @@ const server = http.createServer(async (req, res) => {
   if (method === 'POST' && urlObj.pathname === '/identify') {
     return handleIdentify(req, res);
   }
+  // Route: POST /diseases (disease check as a separate stage)
+  if (method === 'POST' && urlObj.pathname === '/diseases') {
+    return handleDiseases(req, res);
+  }
+  // Route: POST /analyze (server-side Gemini, streamed)
+  if (method === 'POST' && urlObj.pathname === '/analyze') {
+    return handleAnalyze(req, res);
+  }
+  // Route: GET /config
+  if (method === 'GET' && urlObj.pathname === '/config') {
+    return handleConfig(req, res);
+  }
+  // Route: GET /projects
+  if (method === 'GET' && urlObj.pathname === '/projects') {
+    return handleProjects(req, res, urlObj);
+  }
+  // Route: POST /share
+  if (method === 'POST' && urlObj.pathname === '/share') {
+    return handleShareCreate(req, res);
+  }
+  // Routes: GET and DELETE /share/<id>, GET /s/<id> (report page)
+  const shareMatch = /^\/(share|s)\/([^/]+)$/.exec(urlObj.pathname);
+  if (shareMatch && isShareId(shareMatch[2])) {
+    const [, route, id] = shareMatch;
+    if (route === 's' && method === 'GET') return handleSharePage(req, res);
+    if (route === 'share' && method === 'GET') return handleShareGet(req, res, id);
+    if (route === 'share' && method === 'DELETE') return handleShareDelete(req, res, id);
+  }
   // Serve static files for all other requests
   const served = await serveStaticFile(req, res);
   if (!served) {
@@ -203,6 +735,17 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
+// Expired shared reports are also dropped when read; this frees the disk
+// from links nobody opens again.
+setInterval(() => {
+  shares.sweep()
+    .then(removed => removed && console.log(`[SHARE] Removed ${removed} expired reports`))
+    .catch(err => console.warn('[SHARE] Sweep failed:', err.message));
+}, 60 * 60 * 1000).unref();
+
 server.listen(PORT, () => {
-  console.log(`Plant PWA server listening on port ${PORT}`);
+  // PORT=0 picks a free port, so log the one actually bound
+  console.log(`Plant PWA server listening on port ${server.address().port}`);
+  console.log(`Identification providers: ${providers.map(p => p.name).join(', ') || 'none'}`);
+  console.log(`Server-side Gemini: ${gemini ? gemini.models.join(' > ') : 'disabled'}`);
 });
\ No newline at end of file
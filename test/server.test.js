@@ -0,0 +1,58 @@
+/*
+ * HTTP tests for server.js
+ *
+ * Each run starts the server on a free port with no provider or Gemini
+ * key and a throwaway share directory. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+async function startServer(t) {
+  const shareDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plant-shares-'));
+  const env = { ...process.env, PORT: '0', SHARE_DIR: shareDir, IDENTIFY_CACHE_MAX: '0' };
+  delete env.PLANTNET_API_KEY;
+  delete env.GEMINI_API_KEY;
+  delete env.IDENTIFY_CACHE_FILE;
+  const child = spawn(process.execPath, [SERVER], { env, stdio: ['ignore', 'pipe', 'inherit'] });
+  t.after(async () => {
+    child.kill();
+    await fs.rm(shareDir, { recursive: true, force: true });
+  });
+
+  const port = await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = /listening on port (\d+)/.exec(output);
+      if (match) resolve(Number(match[1]));
+    });
+    child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+  });
+  return `http://127.0.0.1:${port}`;
+}
+
+function postJson(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body
+  });
+}
+
+test('JSON bodies that are not objects get a 400', async t => {
+  const base = await startServer(t);
+  for (const route of ['/identify', '/share']) {
+    for (const body of ['null', '[]']) {
+      const response = await postJson(`${base}${route}`, body);
+      assert.equal(response.status, 400, `${route} with ${body}`);
+      assert.deepEqual(await response.json(), { error: 'Invalid JSON body' });
+    }
+  }
+});